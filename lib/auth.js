@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD = 6;
+const SESSION_SWEEP = 60 * 60 * 1000; // how often expired sessions are dropped
+
+// 3-20 letters, digits, `_`, `.` or `-`, starting with a letter or digit.
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{2,19}$/;
+const RESERVED_NAMES = ['admin', 'administrator', 'moderator', 'system', 'server', 'support'];
+
+// Returns why `name` cannot be registered, or null.
+function checkUsername(name) {
+    if (!USERNAME_PATTERN.test(name)) {
+        return 'Usernames are 3-20 characters: letters, digits, _ . or -, starting with a letter or digit';
+    }
+    if (RESERVED_NAMES.includes(name.toLowerCase())) return 'That username is reserved';
+    return null;
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return { salt, hash };
+}
+
+async function verifyPassword(password, stored) {
+    if (!stored) return false;
+    const { hash } = await hashPassword(password, stored.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+}
+
+// Account and session handling on top of a store. Every call resolves to
+// { error } or { name, token }; raw tokens are only ever handed to the client,
+// the store keeps their hashes.
+function createAuth(store) {
+    function issueToken(name) {
+        const token = crypto.randomBytes(32).toString('hex');
+        store.createSession(hashToken(token), name, Date.now() + SESSION_TTL);
+        return token;
+    }
+
+    async function register(name, password) {
+        name = typeof name === 'string' ? name.trim() : '';
+        if (!name) return { error: 'Username required' };
+        const invalid = checkUsername(name);
+        if (invalid) return { error: invalid };
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+            return { error: `Password must be at least ${MIN_PASSWORD} characters` };
+        }
+        if (store.isBanned(name)) return { error: 'Username taken or banned' };
+        if (store.getUser(name)?.password) return { error: 'Username taken or banned' };
+        // Names differing only in case would let people impersonate each other.
+        const similar = store.findUserIgnoringCase(name);
+        if (similar && similar.name !== name) return { error: 'Username taken or banned' };
+
+        const hashed = await hashPassword(password);
+        // Someone may have registered the same name while we were hashing.
+        if (store.getUser(name)?.password) return { error: 'Username taken or banned' };
+        store.setPassword(name, hashed);
+        return { name, token: issueToken(name) };
+    }
+
+    async function login(name, password) {
+        name = typeof name === 'string' ? name.trim() : '';
+        const user = store.getUser(name);
+        if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.password))) {
+            return { error: 'Invalid username or password' };
+        }
+        if (store.isBanned(name)) return { error: 'This account is banned' };
+        return { name, token: issueToken(name) };
+    }
+
+    // Looks up a token from the socket handshake and slides its expiry.
+    function resume(token) {
+        if (typeof token !== 'string') return { error: 'Invalid session' };
+        const key = hashToken(token);
+        const session = store.getSession(key);
+        if (!session || session.expires < Date.now() || !store.getUser(session.user)) {
+            if (session) store.deleteSession(key);
+            return { error: 'Session expired' };
+        }
+        if (store.isBanned(session.user)) return { error: 'This account is banned' };
+        store.createSession(key, session.user, Date.now() + SESSION_TTL);
+        return { name: session.user, token };
+    }
+
+    function logout(token) {
+        if (typeof token === 'string') store.deleteSession(hashToken(token));
+    }
+
+    // Express middleware for the HTTP API: the same session token, sent as
+    // `Authorization: Bearer <token>`. Sets req.username.
+    function requireUser(req, res, next) {
+        const header = req.get('authorization') || '';
+        const { name, error } = resume(header.startsWith('Bearer ') ? header.slice(7) : null);
+        if (error) return res.status(401).json({ success: false, message: error });
+        req.username = name;
+        next();
+    }
+
+    setInterval(() => store.pruneSessions(), SESSION_SWEEP).unref();
+
+    return { register, login, resume, logout, requireUser };
+}
+
+module.exports = { createAuth, checkUsername, hashPassword, verifyPassword };
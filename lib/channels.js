@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { ack, pageLimit } = require('./util');
+
+const MAX_NAME = 50;
+
+// Both the socket.io room and the `messages` key for a channel.
+const roomOf = id => `channel:${id}`;
+
+const summary = ({ id, name, owner, moderators, members }) => ({ id, name, owner, moderators, members });
+
+function roleOf(channel, user) {
+    if (channel.owner === user) return 'owner';
+    if (channel.moderators.includes(user)) return 'moderator';
+    if (channel.members.includes(user)) return 'member';
+    return null;
+}
+
+// Invite-only group channels. Each channel maps to a socket.io room that the
+// members' sockets join on login, so broadcasts only reach members.
+function createChannels({ io, store, presence }) {
+    const broadcast = channel => io.to(roomOf(channel.id)).emit('channel updated', summary(channel));
+
+    // Removes a member, handing ownership on if needed. The last one out
+    // deletes the channel.
+    function removeMember(channel, user, reason) {
+        const members = channel.members.filter(u => u !== user);
+        const moderators = channel.moderators.filter(u => u !== user);
+        presence.to(user).socketsLeave(roomOf(channel.id));
+        presence.to(user).emit('channel removed', { id: channel.id, reason });
+
+        if (!members.length) return store.deleteChannel(channel.id);
+        const owner = channel.owner === user ? moderators[0] || members[0] : channel.owner;
+        store.updateChannel(channel.id, { owner, members, moderators: moderators.filter(u => u !== owner) });
+        broadcast(channel);
+    }
+
+    // Joins a freshly logged-in socket to its channel rooms and returns the
+    // channel part of the login payload.
+    function onLogin(socket, user) {
+        const channels = store.channelsFor(user);
+        channels.forEach(c => socket.join(roomOf(c.id)));
+        return {
+            channels: channels.map(summary),
+            channelInvites: store.invitesFor(user).map(({ id, name }) => ({ id, name }))
+        };
+    }
+
+    // Goes to every member but the typist (all of their tabs).
+    function relayTyping(from, id, typing) {
+        presence.relayTyping(from, roomOf(id), typing, t =>
+            io.to(roomOf(id)).except(presence.room(from)).emit('channel typing', { channel: id, from, typing: t }));
+    }
+
+    function onLogout(socket) {
+        [...socket.rooms].filter(r => r.startsWith('channel:')).forEach(r => socket.leave(r));
+    }
+
+    function attach(socket, currentUser) {
+        // Resolves the channel and the caller's role in it, or replies with an
+        // error and returns null.
+        function lookup(id, callback) {
+            const user = currentUser();
+            const channel = user && typeof id === 'string' ? store.getChannel(id) : null;
+            const role = channel && roleOf(channel, user);
+            if (!role) {
+                callback({ success: false, message: 'Channel not found' });
+                return null;
+            }
+            return { user, channel, role };
+        }
+
+        socket.on('create channel', ({ name } = {}, callback) => {
+            callback = ack(callback);
+            const user = currentUser();
+            if (!user) return callback({ success: false, message: 'Not logged in' });
+            name = typeof name === 'string' ? name.trim() : '';
+            if (!name || name.length > MAX_NAME) {
+                return callback({ success: false, message: `Channel name must be 1-${MAX_NAME} characters` });
+            }
+
+            const channel = store.createChannel({
+                id: crypto.randomBytes(6).toString('hex'),
+                name,
+                owner: user,
+                moderators: [],
+                members: [user],
+                invites: [],
+                createdAt: Date.now()
+            });
+            presence.to(user).socketsJoin(roomOf(channel.id));
+            callback({ success: true, channel: summary(channel) });
+        });
+
+        socket.on('invite to channel', ({ channel: id, user: target } = {}, callback) => {
+            callback = ack(callback);
+            const ctx = lookup(id, callback);
+            if (!ctx) return;
+            const { user, channel, role } = ctx;
+            if (role === 'member') return callback({ success: false, message: 'Only owners and moderators can invite' });
+            if (typeof target !== 'string' || !store.getUser(target)) return callback({ success: false, message: 'No such user' });
+            if (channel.members.includes(target)) return callback({ success: false, message: 'Already a member' });
+
+            // Invites from someone the target blocked are dropped quietly.
+            if (store.hasBlocked(target, user)) return callback({ success: true });
+
+            if (!channel.invites.includes(target)) {
+                store.updateChannel(channel.id, { invites: [...channel.invites, target] });
+            }
+            presence.to(target).emit('channel invite', { id: channel.id, name: channel.name, from: user });
+            callback({ success: true });
+        });
+
+        socket.on('join channel', ({ channel: id } = {}, callback) => {
+            callback = ack(callback);
+            const user = currentUser();
+            const channel = user && typeof id === 'string' ? store.getChannel(id) : null;
+            if (!channel || !channel.invites.includes(user)) {
+                return callback({ success: false, message: 'No invite for this channel' });
+            }
+
+            store.updateChannel(channel.id, {
+                invites: channel.invites.filter(u => u !== user),
+                members: [...channel.members, user]
+            });
+            presence.to(user).socketsJoin(roomOf(channel.id));
+            broadcast(channel);
+            callback({ success: true, channel: summary(channel) });
+        });
+
+        socket.on('decline channel invite', ({ channel: id } = {}, callback) => {
+            callback = ack(callback);
+            const user = currentUser();
+            const channel = user && typeof id === 'string' ? store.getChannel(id) : null;
+            if (channel) store.updateChannel(channel.id, { invites: channel.invites.filter(u => u !== user) });
+            callback({ success: true });
+        });
+
+        socket.on('leave channel', ({ channel: id } = {}, callback) => {
+            callback = ack(callback);
+            const ctx = lookup(id, callback);
+            if (!ctx) return;
+            removeMember(ctx.channel, ctx.user, 'left');
+            callback({ success: true });
+        });
+
+        // Owners can kick anyone; moderators only plain members.
+        socket.on('kick from channel', ({ channel: id, user: target } = {}, callback) => {
+            callback = ack(callback);
+            const ctx = lookup(id, callback);
+            if (!ctx) return;
+            const { user, channel, role } = ctx;
+            const targetRole = roleOf(channel, target);
+            if (!targetRole || target === user) return callback({ success: false, message: 'Not a member' });
+            if (role === 'member' || (role === 'moderator' && targetRole !== 'member')) {
+                return callback({ success: false, message: 'Not allowed' });
+            }
+            removeMember(channel, target, 'kicked');
+            callback({ success: true });
+        });
+
+        socket.on('set channel role', ({ channel: id, user: target, role: next } = {}, callback) => {
+            callback = ack(callback);
+            const ctx = lookup(id, callback);
+            if (!ctx) return;
+            const { channel, role } = ctx;
+            if (role !== 'owner') return callback({ success: false, message: 'Only the owner can change roles' });
+            if (!['moderator', 'member'].includes(next)) return callback({ success: false, message: 'Invalid role' });
+            const targetRole = roleOf(channel, target);
+            if (targetRole !== 'moderator' && targetRole !== 'member') return callback({ success: false, message: 'Not a member' });
+
+            const moderators = channel.moderators.filter(u => u !== target);
+            if (next === 'moderator') moderators.push(target);
+            store.updateChannel(channel.id, { moderators });
+            broadcast(channel);
+            callback({ success: true });
+        });
+
+        socket.on('channel message', ({ channel: id, text } = {}, callback) => {
+            callback = ack(callback);
+            const ctx = lookup(id, callback);
+            if (!ctx) return;
+            if (typeof text !== 'string' || !text.trim()) return callback({ success: false, message: 'Message text required' });
+            const mute = store.getMute(ctx.user);
+            if (mute) return callback({ success: false, message: 'You are muted', until: mute.until });
+
+            const msg = { id: crypto.randomUUID(), channel: ctx.channel.id, from: ctx.user, text, createdAt: Date.now() };
+            store.appendMessage(roomOf(ctx.channel.id), msg);
+            relayTyping(ctx.user, ctx.channel.id, false);
+            io.to(roomOf(ctx.channel.id)).emit('channel message', msg);
+            callback({ success: true });
+        });
+
+        // Same paging as `message history`.
+        socket.on('channel history', ({ channel: id, before, limit } = {}, callback) => {
+            callback = ack(callback);
+            const ctx = lookup(id, callback);
+            if (!ctx) return;
+            const page = store.getMessagePage(roomOf(ctx.channel.id), { before, limit: pageLimit(limit) });
+            if (!page) return callback({ success: false, message: 'Unknown message cursor' });
+            callback({ success: true, ...page });
+        });
+
+        socket.on('channel typing', ({ channel: id, typing } = {}) => {
+            const ctx = lookup(id, () => {});
+            if (ctx) relayTyping(ctx.user, ctx.channel.id, typing);
+        });
+    }
+
+    return { attach, onLogin, onLogout };
+}
+
+module.exports = { createChannels };
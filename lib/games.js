@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const COUNTDOWN = 3; // seconds
+const RESET_DELAY = 5000; // ms between gameOver and the room reopening
+
+// Room lifecycle: lobby -> countdown -> playing -> over -> lobby.
+// Players ready up in the lobby; once everyone is ready the countdown runs and
+// the game starts with a shared seed. Anyone joining mid-game spectates.
+function createGames(nsp) {
+    const rooms = new Map(); // roomId -> room
+
+    function createRoom(id = crypto.randomBytes(3).toString('hex')) {
+        const room = { id, state: 'lobby', players: new Map(), spectators: new Map(), seed: null, startedAt: null, timer: null };
+        rooms.set(id, room);
+        return room;
+    }
+
+    // Picks the first open lobby, or opens a new one.
+    function findOpenRoom() {
+        for (const room of rooms.values()) {
+            if (room.state === 'lobby' && room.players.size < MAX_PLAYERS) return room;
+        }
+        return createRoom();
+    }
+
+    const nameTaken = (room, name) =>
+        [...room.players.values(), ...room.spectators.values()].some(p => p.name === name);
+
+    function broadcastLobby(room) {
+        nsp.to(room.id).emit('lobby', {
+            room: room.id,
+            state: room.state,
+            minPlayers: MIN_PLAYERS,
+            players: [...room.players.values()].map(({ name, ready, alive }) => ({ name, ready, alive })),
+            spectators: [...room.spectators.values()].map(s => s.name)
+        });
+    }
+
+    function cancelCountdown(room) {
+        if (room.state !== 'countdown') return;
+        clearInterval(room.timer);
+        room.timer = null;
+        room.state = 'lobby';
+        nsp.to(room.id).emit('countdown', null);
+    }
+
+    function checkReady(room) {
+        const players = [...room.players.values()];
+        const allReady = players.length >= MIN_PLAYERS && players.every(p => p.ready);
+        if (!allReady) return cancelCountdown(room);
+        if (room.state !== 'lobby') return;
+
+        room.state = 'countdown';
+        let remaining = COUNTDOWN;
+        nsp.to(room.id).emit('countdown', remaining);
+        room.timer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) return nsp.to(room.id).emit('countdown', remaining);
+            clearInterval(room.timer);
+            room.timer = null;
+            startGame(room);
+        }, 1000);
+    }
+
+    function startGame(room) {
+        room.state = 'playing';
+        room.seed = crypto.randomBytes(4).readUInt32BE(0);
+        room.startedAt = Date.now();
+        room.players.forEach(p => { p.alive = true; });
+        nsp.to(room.id).emit('startGame', { seed: room.seed });
+        broadcastLobby(room);
+    }
+
+    function checkWinner(room) {
+        if (room.state !== 'playing') return;
+        const alive = [...room.players.values()].filter(p => p.alive);
+        if (alive.length > 1) return;
+
+        room.state = 'over';
+        nsp.to(room.id).emit('gameOver', alive[0]?.name ?? null);
+        room.timer = setTimeout(() => resetRoom(room), RESET_DELAY);
+    }
+
+    // Spectators become players for the next round, up to the room limit.
+    function resetRoom(room) {
+        room.timer = null;
+        room.state = 'lobby';
+        room.seed = null;
+        room.startedAt = null;
+        room.players.forEach(p => { p.ready = false; p.alive = false; });
+        for (const [id, s] of room.spectators) {
+            if (room.players.size >= MAX_PLAYERS) break;
+            room.spectators.delete(id);
+            room.players.set(id, { ...s, ready: false, alive: false });
+        }
+        broadcastLobby(room);
+    }
+
+    function leave(socket, room) {
+        room.players.delete(socket.id);
+        room.spectators.delete(socket.id);
+        socket.leave(room.id);
+
+        if (!room.players.size && !room.spectators.size) {
+            clearTimeout(room.timer); // also stops a countdown interval
+            rooms.delete(room.id);
+            return;
+        }
+        // Leaving mid-game counts as an elimination.
+        checkWinner(room);
+        checkReady(room);
+        broadcastLobby(room);
+    }
+
+    nsp.on('connection', (socket) => {
+        let room = null;
+
+        socket.on('setUsername', (name, roomId) => {
+            name = typeof name === 'string' ? name.trim() : '';
+            if (!name || room) return;
+
+            roomId = typeof roomId === 'string' ? roomId.trim().slice(0, 32) : '';
+            const target = roomId
+                ? rooms.get(roomId) || createRoom(roomId)
+                : findOpenRoom();
+            if (nameTaken(target, name)) return socket.emit('usernameTaken');
+
+            room = target;
+            socket.join(room.id);
+            const member = { name, ready: false, alive: false };
+            const open = room.state === 'lobby' || room.state === 'countdown';
+            if (open && room.players.size < MAX_PLAYERS) {
+                room.players.set(socket.id, member);
+                // The newcomer is not ready yet, so this cancels any countdown.
+                checkReady(room);
+            } else {
+                room.spectators.set(socket.id, member);
+                // elapsed lets a late joiner fast-forward to the current field.
+                // A finished round has nothing to watch; they wait in the lobby
+                // for the next one.
+                const playing = room.state === 'playing';
+                socket.emit('spectate', {
+                    seed: playing ? room.seed : null,
+                    elapsed: playing ? Date.now() - room.startedAt : 0
+                });
+            }
+            broadcastLobby(room);
+        });
+
+        socket.on('ready', (ready) => {
+            const player = room?.players.get(socket.id);
+            if (!player || (room.state !== 'lobby' && room.state !== 'countdown')) return;
+            player.ready = !!ready;
+            checkReady(room);
+            broadcastLobby(room);
+        });
+
+        socket.on('playerDied', () => {
+            const player = room?.players.get(socket.id);
+            if (!player || !player.alive || room.state !== 'playing') return;
+            player.alive = false;
+            nsp.to(room.id).emit('playerEliminated', player.name);
+            broadcastLobby(room);
+            checkWinner(room);
+        });
+
+        socket.on('disconnect', () => {
+            if (room) leave(socket, room);
+        });
+    });
+
+    return { rooms };
+}
+
+module.exports = { createGames };
@@ -0,0 +1,85 @@
+const { checkArgs } = require('./validate');
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Token buckets keyed by string. A bucket holds up to `capacity` tokens and
+// regains `perSecond` of them every second; take() spends one if it can.
+function createRateLimiter() {
+    const buckets = new Map(); // key -> { tokens, updated, capacity, perSecond }
+
+    function take(key, { capacity, perSecond }) {
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updated: now, capacity, perSecond };
+            buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) / 1000) * perSecond);
+        bucket.updated = now;
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    // A bucket that has refilled completely carries no state worth keeping.
+    setInterval(() => {
+        const now = Date.now();
+        buckets.forEach((b, key) => {
+            if (b.tokens + ((now - b.updated) / 1000) * b.perSecond >= b.capacity) buckets.delete(key);
+        });
+    }, SWEEP_INTERVAL).unref();
+
+    return { take };
+}
+
+// Socket middleware that validates and rate-limits every incoming event
+// before any handler sees it. `schemas` maps event name -> list of argument
+// validators; events without a schema are rejected. `limits` maps event name
+// -> { capacity, perSecond, account? }, falling back to `limits.default`. Each
+// event is limited per socket and, once logged in, per account across all its
+// tabs. Events named in `acks` must come with an ack callback, for handlers
+// whose only way to answer is that callback.
+//
+// Rejected events never reach their handler. The client hears why through the
+// event's ack callback when it passed one, otherwise through `request error`.
+function createGuard({ schemas, limits, acks = [] }) {
+    const limiter = createRateLimiter();
+
+    function reject(socket, event, args, code, message) {
+        const callback = args.find(a => typeof a === 'function');
+        if (callback) callback({ success: false, code, message });
+        else socket.emit('request error', { event, code, message });
+    }
+
+    return (socket, currentUser = () => null) => {
+        socket.use((packet, next) => {
+            const [event, ...rest] = packet;
+            const args = rest.filter(a => typeof a !== 'function');
+
+            const schema = Object.prototype.hasOwnProperty.call(schemas, event) ? schemas[event] : null;
+            if (!schema) return reject(socket, event, rest, 'unknown_event', 'Unknown event');
+            if (acks.includes(event) && typeof rest[rest.length - 1] !== 'function') {
+                return reject(socket, event, rest, 'missing_ack', 'This event needs an acknowledgement callback');
+            }
+
+            const limit = limits[event] || limits.default;
+            if (!limiter.take(`socket:${socket.id}:${event}`, limit)) {
+                return reject(socket, event, rest, 'rate_limited', 'Too many requests, slow down');
+            }
+
+            const error = checkArgs(schema, args);
+            if (error) return reject(socket, event, rest, 'invalid_payload', error);
+
+            // Before login, `account(args, socket)` can give a key that
+            // outlives the socket (e.g. address and login name) so
+            // reconnecting does not reset the limit.
+            const account = currentUser() || limit.account?.(args, socket);
+            if (account && !limiter.take(`user:${account}:${event}`, limit)) {
+                return reject(socket, event, rest, 'rate_limited', 'Too many requests, slow down');
+            }
+            next();
+        });
+    };
+}
+
+module.exports = { createGuard, createRateLimiter };
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ack, pageLimit, jsonErrors } = require('./util');
+
+const ADMIN_ROOM = 'admins';
+const MAX_REASON = 500;
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+const SEARCH_LIMIT = 100;
+const AUDIT_PAGE = 100;
+
+// Admin moderation: kick, timed mute, ban/unban, message search and an audit
+// log of every action. The same actions are exposed to admin sockets
+// (`admin <action>` events) and over HTTP under /api/admin. Each action
+// resolves to { error } or a result object.
+function createModeration({ io, store, presence, auth }) {
+    const isAdmin = name => store.getUser(name)?.role === 'admin';
+
+    const snapshot = () => ({ online: presence.online(), bans: store.getBans(), mutes: store.getMutes() });
+
+    // Pushes the current state to every open admin console.
+    const broadcast = () => io.to(ADMIN_ROOM).emit('admin data', snapshot());
+
+    function audit(admin, source, action, target, reason, details) {
+        const entry = store.appendAudit({ id: crypto.randomUUID(), at: Date.now(), admin, source, action, target, reason, details });
+        io.to(ADMIN_ROOM).emit('admin audit', entry);
+    }
+
+    // Lets the target's client explain what happened before we act on it.
+    const notify = (user, payload) => presence.to(user).emit('moderation', payload);
+
+    // Validates the common { user, reason } part of an action against a user.
+    function checkTarget(admin, { user, reason }) {
+        if (typeof user !== 'string' || !user.trim()) return 'User required';
+        if (user === admin) return 'You cannot moderate yourself';
+        if (isAdmin(user)) return 'Admins cannot be moderated';
+        if (typeof reason !== 'string' || !reason.trim()) return 'A reason is required';
+        if (reason.length > MAX_REASON) return `Reason must be at most ${MAX_REASON} characters`;
+        return null;
+    }
+
+    const actions = {
+        kick(admin, source, payload) {
+            const error = checkTarget(admin, payload);
+            if (error) return { error };
+            const { user, reason } = payload;
+            if (!presence.isOnline(user)) return { error: 'User is not online' };
+
+            // Every tab goes; presence cleans up as each socket disconnects.
+            notify(user, { action: 'kicked', reason });
+            presence.to(user).disconnectSockets(true);
+            audit(admin, source, 'kick', user, reason);
+            return {};
+        },
+
+        mute(admin, source, payload) {
+            const error = checkTarget(admin, payload);
+            if (error) return { error };
+            const { user, reason } = payload;
+            if (!store.getUser(user)) return { error: 'No such user' };
+            const minutes = parseInt(payload.minutes, 10);
+            if (!(minutes >= 1 && minutes <= MAX_MUTE_MINUTES)) {
+                return { error: `Mute length must be 1-${MAX_MUTE_MINUTES} minutes` };
+            }
+
+            const until = Date.now() + minutes * 60 * 1000;
+            store.mute(user, { until, reason, by: admin, at: Date.now() });
+            notify(user, { action: 'muted', until, reason });
+            audit(admin, source, 'mute', user, reason, { minutes });
+            broadcast();
+            return { until };
+        },
+
+        unmute(admin, source, payload) {
+            const error = checkTarget(admin, payload);
+            if (error) return { error };
+            const { user, reason } = payload;
+            if (!store.isMuted(user)) return { error: 'User is not muted' };
+
+            store.unmute(user);
+            notify(user, { action: 'unmuted', reason });
+            audit(admin, source, 'unmute', user, reason);
+            broadcast();
+            return {};
+        },
+
+        // Names without an account can be banned too, to reserve them.
+        ban(admin, source, payload) {
+            const error = checkTarget(admin, payload);
+            if (error) return { error };
+            const { user, reason } = payload;
+            if (store.isBanned(user)) return { error: 'User is already banned' };
+
+            store.ban(user, { reason, by: admin, at: Date.now() });
+            store.deleteSessionsFor(user);
+            notify(user, { action: 'banned', reason });
+            presence.to(user).disconnectSockets(true);
+            audit(admin, source, 'ban', user, reason);
+            broadcast();
+            return {};
+        },
+
+        unban(admin, source, payload) {
+            const error = checkTarget(admin, payload);
+            if (error) return { error };
+            const { user, reason } = payload;
+            if (!store.isBanned(user)) return { error: 'User is not banned' };
+
+            store.unban(user);
+            audit(admin, source, 'unban', user, reason);
+            broadcast();
+            return {};
+        },
+
+        // Searches are logged too, since they expose private conversations.
+        search(admin, source, { query, user, limit } = {}) {
+            query = typeof query === 'string' ? query.trim() : '';
+            user = typeof user === 'string' && user.trim() ? user.trim() : null;
+            if (!query && !user) return { error: 'Search text or user required' };
+
+            const results = store.searchMessages({
+                text: query,
+                user,
+                limit: pageLimit(limit, { fallback: SEARCH_LIMIT, max: SEARCH_LIMIT })
+            });
+            audit(admin, source, 'search', user, null, { query });
+            return { results };
+        },
+
+        // Reading state is not audited.
+        state() {
+            return snapshot();
+        },
+
+        audit(admin, source, { before, limit } = {}) {
+            return { entries: store.getAudit({ before, limit: pageLimit(limit, { fallback: AUDIT_PAGE, max: AUDIT_PAGE }) }) };
+        }
+    };
+
+    function run(action, admin, source, payload) {
+        if (!isAdmin(admin)) return { success: false, message: 'Admin only' };
+        const { error, ...result } = actions[action](admin, source, payload || {});
+        return error ? { success: false, message: error } : { success: true, ...result };
+    }
+
+    function onLogin(socket, user) {
+        if (!isAdmin(user)) return;
+        socket.join(ADMIN_ROOM);
+        socket.emit('admin data', snapshot());
+    }
+
+    function onLogout(socket) {
+        socket.leave(ADMIN_ROOM);
+    }
+
+    function attach(socket, currentUser) {
+        Object.keys(actions).forEach(action => {
+            socket.on(`admin ${action}`, (payload, callback) => {
+                ack(callback)(run(action, currentUser(), 'socket', payload));
+            });
+        });
+    }
+
+    // --- HTTP API ---
+    const router = express.Router();
+    // Bodies are only parsed for admins.
+    router.use(auth.requireUser, (req, res, next) => {
+        if (!isAdmin(req.username)) return res.status(403).json({ success: false, message: 'Admin only' });
+        next();
+    }, express.json());
+
+    const respond = (res, result) => res.status(result.success ? 200 : 400).json(result);
+
+    router.get('/state', (req, res) => respond(res, run('state', req.username, 'api')));
+    router.get('/messages', (req, res) => respond(res, run('search', req.username, 'api', {
+        query: req.query.q,
+        user: req.query.user,
+        limit: req.query.limit
+    })));
+    router.get('/audit', (req, res) => respond(res, run('audit', req.username, 'api', req.query)));
+    ['kick', 'mute', 'unmute', 'ban', 'unban'].forEach(action => {
+        router.post(`/${action}`, (req, res) => respond(res, run(action, req.username, 'api', req.body)));
+    });
+    router.use(jsonErrors);
+
+    return { router, attach, onLogin, onLogout, broadcast };
+}
+
+module.exports = { createModeration };
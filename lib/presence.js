@@ -0,0 +1,110 @@
+const IDLE_AFTER = 5 * 60 * 1000; // ms without activity before a user shows as idle
+const SWEEP_INTERVAL = 30 * 1000;
+const TYPING_TTL = 6000; // ms a typing indicator lasts without a refresh
+
+// Every socket of a logged-in user joins this room, so emitting to it reaches
+// all of their tabs.
+const userRoom = name => `user:${name}`;
+
+// Tracks which users are connected (from any number of tabs) and derives their
+// status: offline, do-not-disturb (chosen), idle (no recent activity) or
+// online. Friends get a `presence` event whenever that status changes.
+function createPresence({ io, store }) {
+    const sockets = new Map(); // username -> Set of socket ids
+    const lastActive = new Map(); // username -> ms
+    const announced = new Map(); // username -> last status sent to friends
+    const typingTimers = new Map(); // `${from}\n${target}` -> timeout
+
+    const isOnline = name => sockets.has(name);
+    const to = name => io.to(userRoom(name));
+
+    function statusOf(name) {
+        if (!isOnline(name)) return 'offline';
+        if (store.getUser(name)?.status === 'dnd') return 'dnd';
+        return Date.now() - (lastActive.get(name) || 0) > IDLE_AFTER ? 'idle' : 'online';
+    }
+
+    const view = name => ({ status: statusOf(name), lastSeen: store.getUser(name)?.lastSeen ?? null });
+
+    // Tells the user's other tabs and their online friends, if anything changed.
+    function announce(name) {
+        const status = statusOf(name);
+        if (announced.get(name) === status) return;
+        if (status === 'offline') announced.delete(name);
+        else announced.set(name, status);
+
+        const payload = { user: name, ...view(name) };
+        to(name).emit('presence', payload);
+        store.getFriends(name).forEach(f => {
+            if (isOnline(f)) to(f).emit('presence', payload);
+        });
+    }
+
+    // Returns true for the user's first socket.
+    function connect(socket, name) {
+        socket.join(userRoom(name));
+        const first = !isOnline(name);
+        if (first) sockets.set(name, new Set());
+        sockets.get(name).add(socket.id);
+        lastActive.set(name, Date.now());
+        announce(name);
+        return first;
+    }
+
+    // Returns true when the user's last socket has gone.
+    function disconnect(socket, name) {
+        socket.leave(userRoom(name));
+        const ids = sockets.get(name);
+        if (!ids || !ids.delete(socket.id) || ids.size) return false;
+
+        sockets.delete(name);
+        lastActive.delete(name);
+        store.setLastSeen(name, Date.now());
+        announce(name);
+        return true;
+    }
+
+    function touch(name) {
+        if (!isOnline(name)) return;
+        lastActive.set(name, Date.now());
+        announce(name);
+    }
+
+    // `status` is the user's choice: 'online' or 'dnd'.
+    function setStatus(name, status) {
+        store.setStatusPreference(name, status);
+        announce(name);
+    }
+
+    // Sends `emit(typing)` now and, while typing, `emit(false)` once the
+    // indicator goes stale, so a closed tab never leaves it stuck on.
+    function relayTyping(from, target, typing, emit) {
+        const key = `${from}\n${target}`;
+        clearTimeout(typingTimers.get(key));
+        typingTimers.delete(key);
+        emit(!!typing);
+        if (!typing) return;
+        typingTimers.set(key, setTimeout(() => {
+            typingTimers.delete(key);
+            emit(false);
+        }, TYPING_TTL));
+    }
+
+    // Idle is derived from time passing, so it has to be polled.
+    setInterval(() => [...sockets.keys()].forEach(announce), SWEEP_INTERVAL).unref();
+
+    return {
+        isOnline,
+        online: () => [...sockets.keys()],
+        room: userRoom,
+        to,
+        view,
+        connect,
+        disconnect,
+        touch,
+        setStatus,
+        relayTyping
+    };
+}
+
+module.exports = { createPresence };
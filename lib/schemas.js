@@ -0,0 +1,91 @@
+const { str, int, bool, oneOf, arr, obj } = require('./validate');
+
+// Payload schemas and rate limits for every socket event, used by lib/guard.js.
+// Names are only length-checked here; lib/auth.js applies the username rules
+// when an account is created.
+
+const name = (opts) => str({ min: 1, max: 50, ...opts });
+const id = (opts) => str({ min: 1, max: 100, ...opts });
+const reason = str({ min: 1, max: 500 });
+const text = (opts) => str({ max: 2000, ...opts });
+
+const perMinute = n => n / 60;
+
+const chat = {
+    schemas: {
+        'register': [obj({ name: name(), password: str({ min: 1, max: 200 }) })],
+        'login': [obj({ name: name(), password: str({ min: 1, max: 200 }) })],
+        'logout': [str({ max: 200, optional: true })],
+        'set status': [oneOf(['online', 'dnd'])],
+        'activity': [],
+
+        'send friend request': [name()],
+        'respond friend request': [obj({ from: name(), accepted: bool() })],
+        'block user': [name()],
+        'unblock user': [name()],
+
+        'private message': [obj({ to: name(), text: text({ optional: true }), attachments: arr(id(), { max: 5, optional: true }) })],
+        'message history': [obj({ with: name(), before: id({ optional: true }), limit: int({ min: 1, max: 200, optional: true }) })],
+        'edit message': [obj({ with: name(), id: id(), text: text({ min: 1 }) })],
+        'delete message': [obj({ with: name(), id: id() })],
+        'mark read': [obj({ with: name(), upTo: id({ optional: true }) })],
+        'pm typing': [obj({ to: name(), typing: bool() })],
+
+        'create channel': [obj({ name: name() })],
+        'invite to channel': [obj({ channel: id(), user: name() })],
+        'join channel': [obj({ channel: id() })],
+        'decline channel invite': [obj({ channel: id() })],
+        'leave channel': [obj({ channel: id() })],
+        'kick from channel': [obj({ channel: id(), user: name() })],
+        'set channel role': [obj({ channel: id(), user: name(), role: oneOf(['moderator', 'member']) })],
+        'channel message': [obj({ channel: id(), text: text({ min: 1 }) })],
+        'channel history': [obj({ channel: id(), before: id({ optional: true }), limit: int({ min: 1, max: 200, optional: true }) })],
+        'channel typing': [obj({ channel: id(), typing: bool() })],
+
+        'admin state': [obj({}, { optional: true })],
+        'admin audit': [obj({ before: id({ optional: true }), limit: int({ min: 1, max: 100, optional: true }) }, { optional: true })],
+        'admin kick': [obj({ user: name(), reason })],
+        'admin mute': [obj({ user: name(), minutes: int({ min: 1 }), reason })],
+        'admin unmute': [obj({ user: name(), reason })],
+        'admin ban': [obj({ user: name(), reason })],
+        'admin unban': [obj({ user: name(), reason })],
+        'admin search': [obj({ query: str({ max: 200, optional: true }), user: str({ max: 50, optional: true }), limit: int({ min: 1, max: 100, optional: true }) })]
+    },
+
+    limits: {
+        default: { capacity: 20, perSecond: 2 },
+        // Keyed by client address and attempted name, so reconnecting does not
+        // help a password guesser, while guesses from elsewhere cannot lock the
+        // real owner out.
+        'register': { capacity: 5, perSecond: perMinute(2), account: ([p], socket) => `${socket.handshake.address}|${p.name}` },
+        'login': { capacity: 5, perSecond: perMinute(2), account: ([p], socket) => `${socket.handshake.address}|${p.name}` },
+        'send friend request': { capacity: 5, perSecond: perMinute(5) },
+        'create channel': { capacity: 3, perSecond: perMinute(2) },
+        'invite to channel': { capacity: 10, perSecond: perMinute(10) },
+        'private message': { capacity: 10, perSecond: 1 },
+        'channel message': { capacity: 10, perSecond: 1 },
+        'edit message': { capacity: 10, perSecond: 0.5 },
+        'delete message': { capacity: 10, perSecond: 0.5 },
+        'pm typing': { capacity: 30, perSecond: 10 },
+        'channel typing': { capacity: 30, perSecond: 10 },
+        'activity': { capacity: 5, perSecond: 0.2 },
+        'admin search': { capacity: 10, perSecond: 0.5 }
+    },
+
+    // Events answered only through their ack.
+    acks: ['register', 'login']
+};
+
+// Cursor Chase lobby (lib/games.js).
+const game = {
+    schemas: {
+        'setUsername': [name({ max: 20 }), str({ max: 32, optional: true })],
+        'ready': [bool()],
+        'playerDied': []
+    },
+    limits: {
+        default: { capacity: 10, perSecond: 2 }
+    }
+};
+
+module.exports = { chat, game };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createRateLimiter } = require('./guard');
+const { jsonErrors } = require('./util');
+
+const MODES = ['easy', 'normal', 'hard', 'daily'];
+const TOP_SCORES = 10;
+const MAX_DURATION = 60 * 60 * 1000; // ms; nobody survives an hour
+const CLOCK_SLACK = 2000; // ms of latency allowed between start and submit
+const START_LIMIT = { capacity: 10, perSecond: 1 / 6 };
+const SWEEP_INTERVAL = 60 * 1000;
+
+// UTC day, so everyone shares the same daily board.
+const today = () => new Date().toISOString().slice(0, 10);
+
+const dailySeed = day => crypto.createHash('sha256').update(`daily:${day}`).digest().readUInt32BE(0);
+
+// Each daily seed gets its own board; the presets keep one forever.
+const boardFor = (mode, day) => mode === 'daily' ? `daily:${day}` : mode;
+
+// Leaderboards for single-player Cursor Chase (s.html). Runs must be started
+// through the API before a score is accepted for them: the server hands out the
+// seed and remembers when the run began, so a submitted duration can be
+// checked against the time that actually passed. This keeps out casual
+// tampering, not a determined cheat.
+function createScores({ store, auth }) {
+    const runs = new Map(); // run id -> { user, mode, day, seed, startedAt }
+    const limiter = createRateLimiter();
+
+    const fail = (res, status, message) => res.status(status).json({ success: false, message });
+
+    function standings(board, user) {
+        return { top: store.getScores(board, TOP_SCORES), best: user ? store.getBestScore(board, user) : null };
+    }
+
+    // The board is public; a valid token adds the caller's personal best.
+    function optionalUser(req) {
+        const header = req.get('authorization') || '';
+        return header.startsWith('Bearer ') ? auth.resume(header.slice(7)).name || null : null;
+    }
+
+    const router = express.Router();
+
+    router.get('/:mode', (req, res) => {
+        const { mode } = req.params;
+        if (!MODES.includes(mode)) return fail(res, 404, 'Unknown mode');
+        const day = today();
+        res.json({
+            success: true,
+            mode,
+            ...(mode === 'daily' ? { day, seed: dailySeed(day) } : {}),
+            ...standings(boardFor(mode, day), optionalUser(req))
+        });
+    });
+
+    router.post('/start', auth.requireUser, express.json(), (req, res) => {
+        const mode = req.body?.mode;
+        if (!MODES.includes(mode)) return fail(res, 400, 'Unknown mode');
+        if (!limiter.take(req.username, START_LIMIT)) return fail(res, 429, 'Too many games, slow down');
+
+        const day = today();
+        const run = {
+            user: req.username,
+            mode,
+            day,
+            seed: mode === 'daily' ? dailySeed(day) : null,
+            startedAt: Date.now()
+        };
+        const id = crypto.randomUUID();
+        runs.set(id, run);
+        res.json({ success: true, run: id, seed: run.seed });
+    });
+
+    router.post('/', auth.requireUser, express.json(), (req, res) => {
+        const { run: id, seed = null, duration } = req.body || {};
+        const run = typeof id === 'string' ? runs.get(id) : null;
+        // Someone else's run looks the same as an expired one.
+        if (!run || run.user !== req.username) return fail(res, 404, 'Unknown or expired run');
+        if (seed !== run.seed) return fail(res, 400, 'Seed does not match this run');
+        if (!Number.isInteger(duration) || duration < 0 || duration > MAX_DURATION) {
+            return fail(res, 400, 'Invalid duration');
+        }
+        if (duration > Date.now() - run.startedAt + CLOCK_SLACK) {
+            return fail(res, 400, 'Duration is longer than the run');
+        }
+
+        // One score per run.
+        runs.delete(id);
+        const board = boardFor(run.mode, run.day);
+        const improved = store.recordScore(board, run.user, { duration, at: Date.now() });
+        res.json({ success: true, mode: run.mode, improved, ...standings(board, run.user) });
+    });
+
+    router.use(jsonErrors);
+
+    // Runs nobody submitted (closed tabs, no game over) would pile up.
+    setInterval(() => {
+        const cutoff = Date.now() - MAX_DURATION - CLOCK_SLACK;
+        runs.forEach((run, id) => {
+            if (run.startedAt < cutoff) runs.delete(id);
+        });
+    }, SWEEP_INTERVAL).unref();
+
+    return { router };
+}
+
+module.exports = { createScores };
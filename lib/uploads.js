@@ -0,0 +1,177 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createRateLimiter } = require('./guard');
+
+const MAX_SIZE = 10 * 1024 * 1024; // bytes
+const MAX_ATTACHMENTS = 5; // per message
+const THUMB_SIZE = 320; // px, longest edge
+// sharp's default (~268 MP) lets a small PNG decode to gigabytes.
+const MAX_PIXELS = 25 * 1000 * 1000;
+const USER_QUOTA = 200 * 1024 * 1024; // bytes across everything a user uploaded
+const UPLOAD_LIMIT = { capacity: 10, perSecond: 1 / 30 };
+// Uploads never shared in a message are removed after this long.
+const UNSHARED_TTL = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+// MIME type -> stored file extension. Anything else is rejected.
+const ALLOWED_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+    'text/plain': 'txt',
+    'application/zip': 'zip'
+};
+const isImage = type => type.startsWith('image/');
+
+function cleanName(raw) {
+    let name;
+    try {
+        name = decodeURIComponent(raw || '');
+    } catch {
+        name = '';
+    }
+    return path.basename(name).replace(/[\x00-\x1f"\\]/g, '').slice(0, 200) || 'file';
+}
+
+// What messages and clients see; uploaders and conversations stay private.
+const summary = ({ id, name, type, size, thumbnail }) => ({ id, name, type, size, thumbnail });
+
+// HTTP upload/download of message attachments. Files are named by the
+// SHA-256 of their content, so re-uploads dedupe. Clients send the raw file as
+// the request body with its MIME type as Content-Type.
+function createUploads({ store, auth, dir }) {
+    const thumbDir = path.join(dir, 'thumbs');
+    fs.mkdirSync(thumbDir, { recursive: true });
+
+    const filePath = a => path.join(dir, `${a.id}.${ALLOWED_TYPES[a.type]}`);
+    const thumbPath = a => path.join(thumbDir, `${a.id}.webp`);
+
+    // Uploaders and anyone in a conversation the file was shared in.
+    const canAccess = (attachment, user) =>
+        attachment.uploaders.includes(user) ||
+        attachment.conversations.some(key => key.split('|').includes(user));
+
+    function findAttachment(req, res) {
+        const attachment = /^[a-f0-9]{64}$/.test(req.params.id) ? store.getAttachment(req.params.id) : null;
+        // Same answer whether the file is missing or just not yours.
+        if (!attachment || !canAccess(attachment, req.username)) {
+            res.status(404).json({ success: false, message: 'Attachment not found' });
+            return null;
+        }
+        return attachment;
+    }
+
+    function writeAtomic(file, data) {
+        if (fs.existsSync(file)) return;
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, data);
+        fs.renameSync(tmp, file);
+    }
+
+    const limiter = createRateLimiter();
+
+    // Runs before the body is read, so an over-quota upload is never buffered.
+    function checkQuota(req, res, next) {
+        if (!limiter.take(req.username, UPLOAD_LIMIT)) {
+            return res.status(429).json({ success: false, message: 'Too many uploads, slow down' });
+        }
+        const incoming = parseInt(req.get('content-length'), 10) || 0;
+        if (store.attachmentUsage(req.username) + incoming > USER_QUOTA) {
+            return res.status(413).json({ success: false, message: `Upload quota of ${USER_QUOTA / 1024 / 1024} MB reached` });
+        }
+        next();
+    }
+
+    function removeUnshared() {
+        store.unsharedAttachments(Date.now() - UNSHARED_TTL).forEach(attachment => {
+            fs.rmSync(filePath(attachment), { force: true });
+            fs.rmSync(thumbPath(attachment), { force: true });
+            store.deleteAttachment(attachment.id);
+        });
+    }
+    removeUnshared();
+    setInterval(removeUnshared, SWEEP_INTERVAL).unref();
+
+    const router = express.Router();
+
+    router.post('/', auth.requireUser, checkQuota, express.raw({ type: Object.keys(ALLOWED_TYPES), limit: MAX_SIZE }), async (req, res) => {
+        // express.raw leaves the body unparsed for types it was not told about.
+        const type = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (!ALLOWED_TYPES[type] || !Buffer.isBuffer(req.body)) {
+            return res.status(415).json({ success: false, message: 'Unsupported file type' });
+        }
+        if (!req.body.length) return res.status(400).json({ success: false, message: 'Empty file' });
+
+        const record = {
+            id: crypto.createHash('sha256').update(req.body).digest('hex'),
+            name: cleanName(req.get('x-file-name')),
+            type,
+            size: req.body.length,
+            thumbnail: isImage(type),
+            createdAt: Date.now()
+        };
+
+        if (record.thumbnail) {
+            // Doubles as a check that the bytes really are an image.
+            try {
+                const thumb = await sharp(req.body, { limitInputPixels: MAX_PIXELS })
+                    .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+                    .webp()
+                    .toBuffer();
+                writeAtomic(thumbPath(record), thumb);
+            } catch (err) {
+                const message = /pixel limit/.test(err.message)
+                    ? `Images may be at most ${MAX_PIXELS / 1000 / 1000} megapixels`
+                    : 'Not a valid image';
+                return res.status(415).json({ success: false, message });
+            }
+        }
+        writeAtomic(filePath(record), req.body);
+
+        const attachment = store.saveAttachment(record, req.username);
+        res.json({ success: true, attachment: summary(attachment) });
+    });
+
+    router.get('/:id', auth.requireUser, (req, res) => {
+        const attachment = findAttachment(req, res);
+        if (!attachment) return;
+        res.set('X-Content-Type-Options', 'nosniff');
+        // Images display inline; everything else downloads.
+        if (!isImage(attachment.type)) res.attachment(attachment.name);
+        res.type(attachment.type).sendFile(filePath(attachment));
+    });
+
+    router.get('/:id/thumbnail', auth.requireUser, (req, res) => {
+        const attachment = findAttachment(req, res);
+        if (!attachment) return;
+        if (!attachment.thumbnail) return res.status(404).json({ success: false, message: 'No thumbnail' });
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type('image/webp').sendFile(thumbPath(attachment));
+    });
+
+    router.use((err, req, res, next) => {
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ success: false, message: `File exceeds ${MAX_SIZE / 1024 / 1024} MB` });
+        }
+        next(err);
+    });
+
+    // Turns attachment ids from a message payload into summaries, or null if
+    // any of them is unknown or was not uploaded by `user`.
+    function resolve(ids, user) {
+        if (ids === undefined) return [];
+        if (!Array.isArray(ids) || ids.length > MAX_ATTACHMENTS) return null;
+        const found = ids.map(id => (typeof id === 'string' ? store.getAttachment(id) : null));
+        if (found.some(a => !a || !a.uploaders.includes(user))) return null;
+        return found.map(summary);
+    }
+
+    return { router, resolve };
+}
+
+module.exports = { createUploads };
@@ -0,0 +1,19 @@
+const HISTORY_PAGE = 50;
+const MAX_HISTORY_PAGE = 200;
+
+// Not every client passes an ack callback.
+const ack = callback => (typeof callback === 'function' ? callback : () => {});
+
+// Clamps a client-supplied page size; history pages unless told otherwise.
+const pageLimit = (limit, { fallback = HISTORY_PAGE, max = MAX_HISTORY_PAGE } = {}) =>
+    Math.min(Math.max(parseInt(limit, 10) || fallback, 1), max);
+
+// Express error handler for the JSON APIs. Request errors such as a malformed
+// body get the usual { success, message } reply instead of an HTML page.
+function jsonErrors(err, req, res, next) {
+    if (!err.expose) return next(err);
+    const message = err.type === 'entity.parse.failed' ? 'Malformed JSON body' : err.message;
+    res.status(err.status).json({ success: false, message });
+}
+
+module.exports = { ack, pageLimit, jsonErrors };
@@ -0,0 +1,79 @@
+// Minimal payload validators. Each returns a function that takes a value and
+// returns an error message, or null when the value is acceptable. Optional
+// fields may be missing or null.
+
+const describe = path => path || 'payload';
+
+function str({ min = 0, max = 2000, optional = false } = {}) {
+    return (value, path) => {
+        if (value == null && optional) return null;
+        if (typeof value !== 'string') return `${describe(path)} must be a string`;
+        if (value.length < min || value.length > max) return `${describe(path)} must be ${min}-${max} characters`;
+        return null;
+    };
+}
+
+function int({ min = -Infinity, max = Infinity, optional = false } = {}) {
+    return (value, path) => {
+        if (value == null && optional) return null;
+        // Numeric strings are fine; they come straight from form fields.
+        const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(n)) return `${describe(path)} must be a whole number`;
+        if (n < min || n > max) return `${describe(path)} must be ${min}-${max}`;
+        return null;
+    };
+}
+
+function bool({ optional = false } = {}) {
+    return (value, path) => {
+        if (value == null && optional) return null;
+        return typeof value === 'boolean' ? null : `${describe(path)} must be true or false`;
+    };
+}
+
+function oneOf(values, { optional = false } = {}) {
+    return (value, path) => {
+        if (value == null && optional) return null;
+        return values.includes(value) ? null : `${describe(path)} must be one of ${values.join(', ')}`;
+    };
+}
+
+function arr(item, { max = 100, optional = false } = {}) {
+    return (value, path) => {
+        if (value == null && optional) return null;
+        if (!Array.isArray(value)) return `${describe(path)} must be a list`;
+        if (value.length > max) return `${describe(path)} may have at most ${max} entries`;
+        for (let i = 0; i < value.length; i++) {
+            const error = item(value[i], `${describe(path)}[${i}]`);
+            if (error) return error;
+        }
+        return null;
+    };
+}
+
+// Unknown keys are rejected.
+function obj(fields, { optional = false } = {}) {
+    return (value, path) => {
+        if (value == null && optional) return null;
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return `${describe(path)} must be an object`;
+        const unknown = Object.keys(value).find(k => !Object.prototype.hasOwnProperty.call(fields, k));
+        if (unknown) return `Unexpected field ${unknown}`;
+        for (const [key, check] of Object.entries(fields)) {
+            const error = check(value[key], path ? `${path}.${key}` : key);
+            if (error) return error;
+        }
+        return null;
+    };
+}
+
+// Validates an event's positional arguments (ack callback excluded).
+function checkArgs(schema, args) {
+    if (args.length > schema.length) return 'Too many arguments';
+    for (let i = 0; i < schema.length; i++) {
+        const error = schema[i](args[i], '');
+        if (error) return error;
+    }
+    return null;
+}
+
+module.exports = { str, int, bool, oneOf, arr, obj, checkArgs };
@@ -1,45 +1,101 @@
-const socket = io();
+// The token is re-read on every (re)connect so the server can resume the session.
+const socket = io({ auth: cb=>cb({ token: localStorage.getItem('sessionToken') }) });
 
 // --- DOM ---
 const loginScreen = document.getElementById('login-screen');
 const chatScreen  = document.getElementById('chat-screen');
 const usernameIn  = document.getElementById('username-input');
-const adminCodeIn = document.getElementById('admin-code');
+const passwordIn  = document.getElementById('password-input');
 const loginBtn    = document.getElementById('login-btn');
+const registerBtn = document.getElementById('register-btn');
+const logoutBtn   = document.getElementById('logout-btn');
 const loginErr    = document.getElementById('login-error');
 
+const statusSelect = document.getElementById('status-select');
 const friendsUL   = document.getElementById('friends');
 const requestsUL  = document.getElementById('requests');
 const addFriendIn = document.getElementById('add-friend');
 const sendFriendBtn = document.getElementById('send-friend-btn');
+const blockedUL   = document.getElementById('blocked');
+const noticeEl    = document.getElementById('notice');
 
+const channelsUL  = document.getElementById('channels');
+const invitesUL   = document.getElementById('channel-invites');
+const newChannelIn = document.getElementById('new-channel');
+const createChannelBtn = document.getElementById('create-channel-btn');
+const channelActions = document.getElementById('channel-actions');
+const inviteBtn   = document.getElementById('invite-btn');
+const leaveChannelBtn = document.getElementById('leave-channel-btn');
+const membersEl   = document.getElementById('channel-members');
+
+const chatTitle   = document.getElementById('chat-title');
 const messagesEl  = document.getElementById('messages');
 const typingEl    = document.getElementById('typing-indicator');
 const form        = document.getElementById('message-form');
 const input       = document.getElementById('message-input');
+const fileIn      = document.getElementById('file-input');
+const attachBtn   = document.getElementById('attach-btn');
 
 const adminPanel  = document.getElementById('admin-panel');
 const adminUsers  = document.getElementById('online-users');
+const mutedEl     = document.getElementById('muted-users');
+const bannedEl    = document.getElementById('banned-users');
+const banNameIn   = document.getElementById('ban-name');
+const banBtn      = document.getElementById('ban-btn');
+const searchIn    = document.getElementById('admin-search');
+const searchUserIn = document.getElementById('admin-search-user');
+const searchBtn   = document.getElementById('admin-search-btn');
+const resultsEl   = document.getElementById('admin-results');
+const auditEl     = document.getElementById('audit-log');
+const refreshAdminBtn = document.getElementById('refresh-admin');
 
 // --- State ---
 let username = null;
 let activeFriend = null;
 let friends = [];
 let requests = [];
-let chats = {};
+let chats = {};   // friend -> { messages, hasMore, loaded }
+let unread = {};  // friend -> unread count
+let presence = {}; // friend -> { status, lastSeen }
+let blocked = [];
+let activeChannel = null;
+let channels = [];        // channel summaries we belong to
+let channelInvites = [];  // { id, name }
+let channelChats = {};    // channel id -> { messages, hasMore, loaded }
 let isAdmin = false;
 
 // --- Helpers ---
 const initials = s=>s.slice(0,2).toUpperCase();
-const nowTime = ()=>new Date().toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'});
+const msgTime = t=>new Date(t).toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'});
 const keyPair = (a,b)=>[a,b].sort().join('|');
+let noticeTimer=null;
+function notice(text){
+  noticeEl.textContent=text; noticeEl.classList.remove('hidden');
+  clearTimeout(noticeTimer); noticeTimer=setTimeout(()=>noticeEl.classList.add('hidden'),4000);
+}
+const partner = m=>m.from===username?m.to:m.from;
+const chatFor = f=>chats[f]||(chats[f]={messages:[],hasMore:false,loaded:false});
+const channelChatFor = id=>channelChats[id]||(channelChats[id]={messages:[],hasMore:false,loaded:false});
+const channelById = id=>channels.find(c=>c.id===id);
+function channelRole(c,u){
+  if(c.owner===u) return 'owner';
+  return c.moderators.includes(u)?'moderator':'member';
+}
 function renderFriends(){
   friendsUL.innerHTML='';
   friends.forEach(f=>{
     const li = document.createElement('li');
     const av = document.createElement('div'); av.className='avatar'; av.textContent=initials(f);
     li.textContent=f; li.prepend(av);
-    li.onclick = ()=>{ activeFriend=f; renderMessages(); };
+    const p=presence[f]||{status:'offline'};
+    const dot=document.createElement('span'); dot.className=`status-dot ${p.status}`;
+    li.title=p.status==='offline'?(p.lastSeen?`Last seen ${new Date(p.lastSeen).toLocaleString()}`:'Offline'):({online:'Online',idle:'Idle',dnd:'Do Not Disturb'})[p.status];
+    li.appendChild(dot);
+    if(unread[f]){ const badge=document.createElement('span'); badge.className='badge'; badge.textContent=unread[f]; li.appendChild(badge); }
+    const block=document.createElement('button'); block.textContent='Block'; block.className='btn xs';
+    block.onclick=e=>{ e.stopPropagation(); blockUser(f); };
+    li.appendChild(block);
+    li.onclick = ()=>openChat(f);
     friendsUL.appendChild(li);
   });
 }
@@ -51,78 +107,423 @@ function renderRequests(){
     const decline= document.createElement('button'); decline.textContent='Decline'; decline.className='btn xs';
     accept.onclick = e=>{ e.stopPropagation(); socket.emit('respond friend request',{from:r,accepted:true}); };
     decline.onclick= e=>{ e.stopPropagation(); socket.emit('respond friend request',{from:r,accepted:false}); };
-    li.appendChild(accept); li.appendChild(decline);
+    const block= document.createElement('button'); block.textContent='Block'; block.className='btn xs';
+    block.onclick = e=>{ e.stopPropagation(); blockUser(r); };
+    li.appendChild(accept); li.appendChild(decline); li.appendChild(block);
     requestsUL.appendChild(li);
   });
 }
-function renderMessages(){
+function renderBlocked(){
+  blockedUL.innerHTML='';
+  blocked.forEach(u=>{
+    const li=document.createElement('li'); li.textContent=u;
+    const unblock=document.createElement('button'); unblock.textContent='Unblock'; unblock.className='btn xs';
+    unblock.onclick=()=>socket.emit('unblock user',u);
+    li.appendChild(unblock);
+    blockedUL.appendChild(li);
+  });
+}
+function blockUser(u){
+  if(!confirm(`Block ${u}? They will not be able to message you or send requests.`)) return;
+  socket.emit('block user',u, res=>{ if(!res.success) notice(res.message); });
+}
+function openChat(f){
+  activeFriend=f; activeChannel=null; chatTitle.textContent=f; typingEl.textContent='';
+  renderChannelHeader();
+  if(chatFor(f).loaded){ renderMessages(); markRead(); }
+  else loadHistory(f);
+}
+// Fetches the page before the oldest message we hold (the newest page on first open).
+function loadHistory(f){
+  const chat=chatFor(f);
+  const before=chat.loaded?chat.messages[0]?.id:undefined;
+  socket.emit('message history',{with:f,before}, res=>{
+    if(!res.success) return;
+    chat.messages=res.messages.concat(chat.messages); chat.hasMore=res.hasMore;
+    if(!chat.loaded){ chat.loaded=true; if(activeFriend===f) markRead(); }
+    if(activeFriend===f) renderMessages(!before);
+  });
+}
+function openChannel(id){
+  const c=channelById(id); if(!c) return;
+  activeChannel=id; activeFriend=null; chatTitle.textContent=`# ${c.name}`; typingEl.textContent='';
+  renderChannelHeader();
+  if(channelChatFor(id).loaded) renderMessages();
+  else loadChannelHistory(id);
+}
+function loadChannelHistory(id){
+  const chat=channelChatFor(id);
+  const before=chat.loaded?chat.messages[0]?.id:undefined;
+  socket.emit('channel history',{channel:id,before}, res=>{
+    if(!res.success) return;
+    chat.messages=res.messages.concat(chat.messages); chat.hasMore=res.hasMore; chat.loaded=true;
+    if(activeChannel===id) renderMessages(!before);
+  });
+}
+function closeChannel(id){
+  channels=channels.filter(c=>c.id!==id); delete channelChats[id];
+  if(activeChannel===id){
+    activeChannel=null; chatTitle.textContent='Select a Friend';
+    renderChannelHeader(); renderMessages();
+  }
+  renderChannels();
+}
+function renderChannels(){
+  channelsUL.innerHTML='';
+  channels.forEach(c=>{
+    const li=document.createElement('li'); li.textContent=`# ${c.name}`;
+    li.onclick=()=>openChannel(c.id);
+    channelsUL.appendChild(li);
+  });
+  invitesUL.innerHTML='';
+  channelInvites.forEach(inv=>{
+    const li=document.createElement('li'); li.textContent=`Invite: # ${inv.name}`;
+    const join=document.createElement('button'); join.textContent='Join'; join.className='btn xs';
+    const decline=document.createElement('button'); decline.textContent='Decline'; decline.className='btn xs';
+    join.onclick=e=>{ e.stopPropagation();
+      socket.emit('join channel',{channel:inv.id}, res=>{
+        channelInvites=channelInvites.filter(i=>i.id!==inv.id);
+        if(res.success&&!channelById(inv.id)) channels.push(res.channel);
+        renderChannels();
+      });
+    };
+    decline.onclick=e=>{ e.stopPropagation();
+      socket.emit('decline channel invite',{channel:inv.id});
+      channelInvites=channelInvites.filter(i=>i.id!==inv.id); renderChannels();
+    };
+    li.appendChild(join); li.appendChild(decline);
+    invitesUL.appendChild(li);
+  });
+}
+// Member list with kick/promote buttons where our role allows them.
+function renderChannelHeader(){
+  const c=activeChannel&&channelById(activeChannel);
+  channelActions.classList.toggle('hidden',!c);
+  attachBtn.classList.toggle('hidden',!!c); // attachments are DM-only
+  membersEl.classList.toggle('hidden',!c);
+  membersEl.innerHTML='';
+  if(!c) return;
+  const myRole=channelRole(c,username);
+  inviteBtn.classList.toggle('hidden',myRole==='member');
+  c.members.forEach(u=>{
+    const role=channelRole(c,u);
+    const el=document.createElement('span'); el.className='member'; el.textContent=u;
+    if(role!=='member'){ const r=document.createElement('span'); r.className='role'; r.textContent=role; el.appendChild(r); }
+    if(u!==username&&(myRole==='owner'||(myRole==='moderator'&&role==='member'))){
+      const kick=document.createElement('button'); kick.className='btn xs'; kick.textContent='Kick';
+      kick.onclick=()=>socket.emit('kick from channel',{channel:c.id,user:u});
+      el.appendChild(kick);
+    }
+    if(u!==username&&myRole==='owner'){
+      const mod=document.createElement('button'); mod.className='btn xs';
+      mod.textContent=role==='moderator'?'Unmod':'Mod';
+      mod.onclick=()=>socket.emit('set channel role',{channel:c.id,user:u,role:role==='moderator'?'member':'moderator'});
+      el.appendChild(mod);
+    }
+    membersEl.appendChild(el);
+  });
+}
+function markRead(){
+  const last=chatFor(activeFriend).messages.filter(m=>m.from===activeFriend).pop();
+  if(last&&!last.readAt) socket.emit('mark read',{with:activeFriend,upTo:last.id});
+  if(unread[activeFriend]){ unread[activeFriend]=0; renderFriends(); }
+}
+// Attachment URLs need our session token, so fetch them into blob URLs.
+const blobUrls = {};
+async function attachmentUrl(path){
+  if(blobUrls[path]) return blobUrls[path];
+  const res=await fetch(path,{headers:{Authorization:`Bearer ${localStorage.getItem('sessionToken')}`}});
+  if(!res.ok) throw new Error(res.statusText);
+  return blobUrls[path]=URL.createObjectURL(await res.blob());
+}
+// Cached blobs belong to the account that fetched them.
+function clearBlobUrls(){
+  Object.keys(blobUrls).forEach(p=>{ URL.revokeObjectURL(blobUrls[p]); delete blobUrls[p]; });
+}
+function renderAttachment(a){
+  const el=document.createElement('div'); el.className='attachment';
+  const open=()=>attachmentUrl(`/uploads/${a.id}`).then(url=>{
+    const link=document.createElement('a'); link.href=url; link.download=a.name; link.click();
+  }).catch(()=>notice('Attachment unavailable'));
+  if(a.thumbnail){
+    const img=document.createElement('img'); img.alt=a.name; img.title=a.name; img.onclick=open;
+    attachmentUrl(`/uploads/${a.id}/thumbnail`).then(url=>{ img.src=url; }).catch(()=>{ img.alt=`${a.name} (unavailable)`; });
+    el.appendChild(img);
+  } else {
+    const link=document.createElement('a'); link.href='#'; link.textContent=`${a.name} (${Math.ceil(a.size/1024)} KB)`;
+    link.onclick=e=>{ e.preventDefault(); open(); };
+    el.appendChild(link);
+  }
+  return el;
+}
+function receipt(m){
+  if(m.readAt) return ' • Read';
+  return m.deliveredAt?' • Delivered':' • Sent';
+}
+function renderMessages(scrollToEnd=true){
   messagesEl.innerHTML='';
-  if(!activeFriend) return;
-  const hist = chats[activeFriend]||[];
-  hist.forEach(m=>{
-    const row=document.createElement('div'); row.className='msg'+(m.from===username?' mine':'');
+  if(!activeFriend&&!activeChannel) return;
+  const chat = activeChannel?channelChatFor(activeChannel):chatFor(activeFriend);
+  if(chat.hasMore){
+    const older=document.createElement('button'); older.className='btn xs load-older'; older.textContent='Load older messages';
+    older.onclick=()=>activeChannel?loadChannelHistory(activeChannel):loadHistory(activeFriend);
+    messagesEl.appendChild(older);
+  }
+  chat.messages.forEach(m=>{
+    const mine=m.from===username;
+    const row=document.createElement('div'); row.className='msg'+(mine?' mine':'');
     const av = document.createElement('div'); av.className='avatar'; av.textContent=initials(m.from);
     const bubble = document.createElement('div'); bubble.className='bubble';
-    const meta = document.createElement('div'); meta.className='meta'; meta.textContent=`${m.from} • ${m.time||nowTime()}`;
-    const text = document.createElement('div'); text.textContent=m.text;
+    const meta = document.createElement('div'); meta.className='meta';
+    meta.textContent=`${m.from} • ${msgTime(m.createdAt)}${m.editedAt&&!m.deleted?' (edited)':''}${mine&&activeFriend?receipt(m):''}`;
+    const text = document.createElement('div');
+    if(m.deleted){ text.className='deleted'; text.textContent='Message deleted'; }
+    else text.textContent=m.text;
     bubble.appendChild(meta); bubble.appendChild(text);
+    (m.attachments||[]).forEach(a=>bubble.appendChild(renderAttachment(a)));
+    if(mine&&!m.deleted&&activeFriend){
+      const actions=document.createElement('div'); actions.className='msg-actions';
+      const edit=document.createElement('button'); edit.className='btn xs'; edit.textContent='Edit';
+      const del=document.createElement('button'); del.className='btn xs'; del.textContent='Delete';
+      edit.onclick=()=>{
+        const next=prompt('Edit message',m.text);
+        if(next&&next.trim()&&next!==m.text) socket.emit('edit message',{with:activeFriend,id:m.id,text:next.trim()});
+      };
+      del.onclick=()=>{ if(confirm('Delete this message?')) socket.emit('delete message',{with:activeFriend,id:m.id}); };
+      actions.appendChild(edit); actions.appendChild(del);
+      bubble.appendChild(actions);
+    }
     row.appendChild(av); row.appendChild(bubble);
     messagesEl.appendChild(row);
   });
-  messagesEl.scrollTop=messagesEl.scrollHeight;
+  if(scrollToEnd) messagesEl.scrollTop=messagesEl.scrollHeight;
 }
 
+// --- Admin ---
+// Every moderation action asks for a reason; it goes into the audit log.
+function adminAction(action,payload){
+  const reason=prompt(`Reason for ${action} ${payload.user}?`); if(!reason) return;
+  socket.emit(`admin ${action}`,{...payload,reason}, res=>{ if(!res.success) alert(res.message); });
+}
+function adminRow(label,buttons){
+  const row=document.createElement('div'); row.className='card';
+  const name=document.createElement('div'); name.textContent=label; row.appendChild(name);
+  buttons.forEach(([text,fn])=>{ const b=document.createElement('button'); b.className='btn xs'; b.textContent=text; b.onclick=fn; row.appendChild(b); });
+  return row;
+}
+function renderAdmin({online,bans,mutes}){
+  adminUsers.innerHTML=''; mutedEl.innerHTML=''; bannedEl.innerHTML='';
+  online.filter(u=>u!==username).forEach(u=>adminUsers.appendChild(adminRow(u,[
+    ['Kick',()=>adminAction('kick',{user:u})],
+    ['Mute',()=>{ const minutes=prompt(`Mute ${u} for how many minutes?`,'10'); if(minutes) adminAction('mute',{user:u,minutes}); }],
+    ['Ban',()=>adminAction('ban',{user:u})]
+  ])));
+  Object.entries(mutes).forEach(([u,m])=>mutedEl.appendChild(adminRow(`${u} until ${new Date(m.until).toLocaleString()} — ${m.reason}`,[
+    ['Unmute',()=>adminAction('unmute',{user:u})]
+  ])));
+  Object.entries(bans).forEach(([u,b])=>bannedEl.appendChild(adminRow(`${u} — ${b.reason||'no reason recorded'}`,[
+    ['Unban',()=>adminAction('unban',{user:u})]
+  ])));
+}
+function auditLine(e){
+  const el=document.createElement('div'); el.className='card';
+  const what=e.action==='search'?`searched "${e.details?.query||''}"${e.target?` in ${e.target}`:''}`:`${e.action} ${e.target}`;
+  el.textContent=`${new Date(e.at).toLocaleString()} • ${e.admin} ${what}${e.reason?` — ${e.reason}`:''}`;
+  return el;
+}
+function refreshAdmin(){
+  socket.emit('admin state',{}, res=>{ if(res.success) renderAdmin(res); });
+  socket.emit('admin audit',{}, res=>{
+    if(!res.success) return;
+    auditEl.innerHTML=''; res.entries.forEach(e=>auditEl.appendChild(auditLine(e)));
+  });
+}
+refreshAdminBtn.addEventListener('click',refreshAdmin);
+banBtn.addEventListener('click',()=>{
+  const user=banNameIn.value.trim(); if(!user) return;
+  adminAction('ban',{user}); banNameIn.value='';
+});
+searchBtn.addEventListener('click',()=>{
+  socket.emit('admin search',{query:searchIn.value,user:searchUserIn.value}, res=>{
+    if(!res.success) return alert(res.message);
+    resultsEl.innerHTML='';
+    if(!res.results.length) resultsEl.textContent='No matches';
+    res.results.forEach(({conversation,message:m})=>{
+      const el=document.createElement('div'); el.className='card';
+      el.textContent=`[${conversation}] ${m.from} • ${new Date(m.createdAt).toLocaleString()}: ${m.deleted?'(deleted)':m.text}`;
+      resultsEl.appendChild(el);
+    });
+  });
+});
+
 // --- Login ---
-loginBtn.addEventListener('click', async()=>{
+function enterChat(res){
+  username=res.username; isAdmin=res.isAdmin; friends=res.friends||[]; requests=res.requests||[];
+  unread=res.unread||{}; chats={}; presence=res.presence||{}; blocked=res.blocked||[];
+  statusSelect.value=res.status||'online';
+  channels=res.channels||[]; channelInvites=res.channelInvites||[]; channelChats={};
+  localStorage.setItem('sessionToken',res.token);
+  loginErr.textContent='';
+  loginScreen.classList.add('hidden'); chatScreen.classList.remove('hidden');
+  adminPanel.classList.toggle('hidden',!isAdmin);
+  if(isAdmin) refreshAdmin();
+  renderFriends(); renderRequests(); renderChannels(); renderBlocked();
+}
+function leaveChat(message){
+  localStorage.removeItem('sessionToken');
+  username=null; isAdmin=false; activeFriend=null; chats={}; unread={}; presence={};
+  clearBlobUrls();
+  activeChannel=null; channels=[]; channelInvites=[]; channelChats={}; renderChannelHeader();
+  chatTitle.textContent='Select a Friend'; messagesEl.innerHTML='';
+  chatScreen.classList.add('hidden'); loginScreen.classList.remove('hidden');
+  loginErr.textContent=message||'';
+}
+function authenticate(event){
   const name=usernameIn.value.trim();
-  const code=adminCodeIn.value.trim();
-  if(!name){ loginErr.textContent='Enter username'; return; }
-  socket.emit('set username',{name,code}, res=>{
+  const password=passwordIn.value;
+  if(!name||!password){ loginErr.textContent='Enter username and password'; return; }
+  socket.emit(event,{name,password}, res=>{
     if(!res.success){ loginErr.textContent=res.message; return; }
-    username=name; isAdmin=res.isAdmin; friends=res.friends||[]; requests=res.requests||[];
-    loginScreen.classList.add('hidden'); chatScreen.classList.remove('hidden');
-    if(isAdmin) adminPanel.classList.remove('hidden');
-    renderFriends(); renderRequests();
+    passwordIn.value='';
+    enterChat(res);
   });
+}
+loginBtn.addEventListener('click',()=>authenticate('login'));
+registerBtn.addEventListener('click',()=>authenticate('register'));
+logoutBtn.addEventListener('click',()=>{
+  socket.emit('logout',localStorage.getItem('sessionToken'));
+  leaveChat();
 });
 
+statusSelect.addEventListener('change',()=>socket.emit('set status',statusSelect.value));
+// Lets the server tell idle from online; at most one ping every 30s.
+let lastActivity=0;
+['mousemove','keydown','focus'].forEach(ev=>window.addEventListener(ev,()=>{
+  if(!username||Date.now()-lastActivity<30000) return;
+  lastActivity=Date.now(); socket.emit('activity');
+}));
+
 // --- Friend ---
 sendFriendBtn.addEventListener('click',()=>{
   const f=addFriendIn.value.trim(); if(!f) return;
-  socket.emit('send friend request',f); addFriendIn.value='';
+  socket.emit('send friend request',f, res=>{
+    if(!res.success) return notice(res.message);
+    addFriendIn.value=''; notice(`Friend request sent to ${f}`);
+  });
+});
+
+// --- Channels ---
+createChannelBtn.addEventListener('click',()=>{
+  const name=newChannelIn.value.trim(); if(!name) return;
+  socket.emit('create channel',{name}, res=>{
+    if(!res.success) return alert(res.message);
+    newChannelIn.value=''; channels.push(res.channel); renderChannels(); openChannel(res.channel.id);
+  });
+});
+inviteBtn.addEventListener('click',()=>{
+  const user=prompt('Invite who?'); if(!user||!activeChannel) return;
+  socket.emit('invite to channel',{channel:activeChannel,user:user.trim()}, res=>{ if(!res.success) alert(res.message); });
+});
+leaveChannelBtn.addEventListener('click',()=>{
+  if(!activeChannel||!confirm('Leave this channel?')) return;
+  socket.emit('leave channel',{channel:activeChannel});
 });
 
 // --- Chat ---
-form.addEventListener('submit',e=>{ e.preventDefault(); if(!activeFriend) return;
+form.addEventListener('submit',e=>{ e.preventDefault(); if(!activeFriend&&!activeChannel) return;
   const text=input.value.trim(); if(!text) return;
-  socket.emit('private message',{to:activeFriend,text}); input.value='';
+  const sent=res=>{ if(!res.success) notice(res.message); };
+  if(activeChannel) socket.emit('channel message',{channel:activeChannel,text},sent);
+  else socket.emit('private message',{to:activeFriend,text},sent);
+  input.value='';
+});
+// Uploads the file, then sends it with whatever is in the message box.
+attachBtn.addEventListener('click',()=>{ if(activeFriend) fileIn.click(); });
+fileIn.addEventListener('change',async()=>{
+  const file=fileIn.files[0]; fileIn.value='';
+  if(!file||!activeFriend) return;
+  let res;
+  try{
+    res=await fetch('/uploads',{method:'POST',body:file,headers:{
+      'Content-Type':file.type||'application/octet-stream',
+      'X-File-Name':encodeURIComponent(file.name),
+      Authorization:`Bearer ${localStorage.getItem('sessionToken')}`
+    }});
+  }catch{ return notice('Upload failed, check your connection'); }
+  const data=await res.json().catch(()=>({message:res.statusText}));
+  if(!res.ok||!data.success) return alert(data.message||'Upload failed');
+  socket.emit('private message',{to:activeFriend,text:input.value.trim(),attachments:[data.attachment.id]}, r=>{ if(!r.success) alert(r.message); });
+  input.value='';
+});
+input.addEventListener('input',()=>{
+  const typing=input.value.length>0;
+  if(activeChannel) socket.emit('channel typing',{channel:activeChannel,typing});
+  else if(activeFriend) socket.emit('pm typing',{to:activeFriend,typing});
 });
-input.addEventListener('input',()=>{ if(!activeFriend) return; socket.emit('pm typing',{to:activeFriend,typing:input.value.length>0}); });
 
 // --- Socket events ---
+socket.on('session resumed', res=>enterChat(res));
+socket.on('session invalid', ({message})=>leaveChat(message));
 socket.on('friend request', f=>{ requests.push(f); renderRequests(); });
 socket.on('friend requests', list=>{ requests=list||[]; renderRequests(); });
 socket.on('friend accepted', f=>{ friends.push(f); renderFriends(); });
+socket.on('presence', ({user,status,lastSeen})=>{
+  if(user===username){ if(status!=='offline') statusSelect.value=status==='dnd'?'dnd':'online'; return; }
+  presence[user]={status,lastSeen}; renderFriends();
+});
+socket.on('blocked users', list=>{ blocked=list||[]; renderBlocked(); });
+// Events the server refused without an ack to report through.
+socket.on('request error', ({message})=>notice(message));
 socket.on('friend declined', f=>{ requests=requests.filter(r=>r!==f); renderRequests(); });
-socket.on('private message', data=>{
-  const {from,text,time}=data;
-  if(!chats[from]) chats[from]=[];
-  chats[from].push({from,text,time});
-  if(activeFriend===from) renderMessages();
+socket.on('private message', m=>{
+  const f=partner(m);
+  // An unopened chat picks this message up when its history loads.
+  if(chatFor(f).loaded) chats[f].messages.push(m);
+  if(activeFriend===f){ renderMessages(); markRead(); }
+  else if(m.from!==username){ unread[f]=(unread[f]||0)+1; renderFriends(); }
+});
+socket.on('messages updated', list=>{
+  list.forEach(m=>{
+    const chat=chatFor(partner(m));
+    const i=chat.messages.findIndex(x=>x.id===m.id);
+    if(i!==-1) chat.messages[i]=m;
+  });
+  if(activeFriend&&list.some(m=>partner(m)===activeFriend)) renderMessages(false);
+});
+socket.on('channel updated', c=>{
+  const i=channels.findIndex(x=>x.id===c.id);
+  if(i===-1) channels.push(c); else channels[i]=c;
+  renderChannels();
+  if(activeChannel===c.id){ chatTitle.textContent=`# ${c.name}`; renderChannelHeader(); }
+});
+socket.on('channel removed', ({id,reason})=>{
+  const c=channelById(id);
+  if(c&&reason==='kicked') alert(`You were removed from # ${c.name}`);
+  closeChannel(id);
+});
+socket.on('channel invite', inv=>{
+  if(!channelInvites.some(i=>i.id===inv.id)) channelInvites.push(inv);
+  renderChannels();
+});
+socket.on('channel message', m=>{
+  const chat=channelChatFor(m.channel);
+  if(chat.loaded) chat.messages.push(m);
+  if(activeChannel===m.channel) renderMessages();
+});
+socket.on('channel typing', ({channel,from,typing})=>{
+  if(activeChannel===channel) typingEl.textContent=typing?`${from} is typing...`:'';
 });
 socket.on('pm typing', ({from,typing})=>{
-  typingEl.textContent=typing?`${from} is typing...`:'';
+  if(activeFriend===from) typingEl.textContent=typing?`${from} is typing...`:'';
 });
-socket.on('admin data', data=>{
-  if(!isAdmin) return;
-  adminUsers.innerHTML=data.map(u=>`<div>${u}</div>`).join('');
+socket.on('admin data', data=>{ if(isAdmin) renderAdmin(data); });
+socket.on('admin audit', e=>{ if(isAdmin) auditEl.prepend(auditLine(e)); });
+socket.on('moderation', ({action,reason,until})=>{
+  if(action==='banned') return leaveChat(`You have been banned: ${reason}`);
+  if(action==='kicked') return alert(`You were kicked: ${reason}. Reload to reconnect.`);
+  if(action==='muted') return alert(`You are muted until ${new Date(until).toLocaleString()}: ${reason}`);
+  if(action==='unmuted') alert('You are no longer muted.');
 });
 
-// --- LocalStorage restore ---
-const stored = localStorage.getItem('chatData');
-if(stored){
-  const s = JSON.parse(stored);
-  chats=s.chats||{};
-  friends=s.friends||[];
-}
-window.addEventListener('beforeunload',()=>{ localStorage.setItem('chatData',JSON.stringify({chats,friends})); });
+// History now lives on the server; drop what older versions cached locally.
+localStorage.removeItem('chatData');
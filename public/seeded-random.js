@@ -0,0 +1,10 @@
+// mulberry32: a small seeded PRNG, so every client given the same seed spawns
+// the same dots. Shared by m.html and s.html.
+function seededRandom(seed) {
+    return function () {
+        seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
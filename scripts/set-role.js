@@ -0,0 +1,18 @@
+// Usage: npm run set-role -- <username> <user|admin>
+// Edits the store directly, so run it while the server is stopped.
+const { createStore } = require('../store');
+
+const [name, role] = process.argv.slice(2);
+if (!name || !['user', 'admin'].includes(role)) {
+    console.error('Usage: npm run set-role -- <username> <user|admin>');
+    process.exit(1);
+}
+
+const store = createStore();
+if (!store.getUser(name)) {
+    console.error(`No such user: ${name}`);
+    process.exit(1);
+}
+store.setRole(name, role);
+store.flush();
+console.log(`${name} is now ${role}`);
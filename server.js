@@ -2,6 +2,18 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { createAuth } = require('./lib/auth');
+const { createGames } = require('./lib/games');
+const { createChannels } = require('./lib/channels');
+const { createUploads } = require('./lib/uploads');
+const { createModeration } = require('./lib/moderation');
+const { createPresence } = require('./lib/presence');
+const { createScores } = require('./lib/scores');
+const { createGuard } = require('./lib/guard');
+const schemas = require('./lib/schemas');
+const { ack, pageLimit } = require('./lib/util');
 
 const app = express();
 const server = createServer(app);
@@ -9,108 +21,286 @@ const io = new Server(server);
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-const onlineUsers = new Map(); // username -> socketId
-const friendRequests = {}; // username -> [pending usernames]
-const friends = {}; // username -> [friend usernames]
-const messages = {}; // friend pair key -> array of messages
-const bannedUsers = new Set();
+const store = createStore();
+const auth = createAuth(store);
+
+const uploads = createUploads({ store, auth, dir: process.env.UPLOAD_DIR || path.join(__dirname, 'uploads') });
+app.use('/uploads', uploads.router);
+
+const presence = createPresence({ io, store });
+const channels = createChannels({ io, store, presence });
+const moderation = createModeration({ io, store, presence, auth });
+app.use('/api/admin', moderation.router);
+
+// Cursor Chase single-player leaderboards (s.html).
+app.use('/api/scores', createScores({ store, auth }).router);
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Sends changed messages to both people in a conversation.
+function emitMessageUpdates(changed) {
+    if (!changed.length) return;
+    const { from, to } = changed[0];
+    [from, to].forEach(u => presence.to(u).emit('messages updated', changed));
+}
+
+// Every event on either namespace is validated and rate-limited first.
+const guardChat = createGuard(schemas.chat);
+const guardGame = createGuard(schemas.game);
+
+// Cursor Chase multiplayer (m.html) runs on its own namespace.
+const games = io.of('/game');
+games.on('connection', socket => guardGame(socket));
+createGames(games);
 
 io.on('connection', (socket) => {
     let username = null;
     let isAdmin = false;
+    // Modules attached to this socket read the login through this: the
+    // logged-in name, or null.
+    const currentUser = () => username;
 
-    socket.on('set username', ({ name, code }, callback) => {
-        name = name.trim();
-        if (!name) return callback({ success: false, message: 'Username required' });
-        if (onlineUsers.has(name) || bannedUsers.has(name)) {
-            return callback({ success: false, message: 'Username taken or banned' });
-        }
+    guardChat(socket, currentUser);
 
+    // Binds this socket to an account and returns the login payload. Several
+    // tabs can be logged in to the same account at once.
+    function startSession(name, token) {
         username = name;
-        isAdmin = (code === '13854');
-        onlineUsers.set(username, socket.id);
-        friendRequests[username] = friendRequests[username] || [];
-        friends[username] = friends[username] || [];
+        isAdmin = store.getUser(name).role === 'admin';
 
-        if (isAdmin) {
-            socket.emit('admin granted', { onlineUsers: Array.from(onlineUsers.keys()), messages });
-        }
+        moderation.onLogin(socket, username);
+        if (presence.connect(socket, username)) moderation.broadcast();
 
-        friends[username].forEach(f => {
-            if (onlineUsers.has(f)) {
-                io.to(onlineUsers.get(f)).emit('friend online', username);
-            }
+        // Anything sent while we were away counts as delivered now.
+        const unread = {};
+        const friendPresence = {};
+        store.getFriends(username).forEach(f => {
+            const key = pairKey(username, f);
+            emitMessageUpdates(store.markMessages(key, username, 'deliveredAt'));
+            unread[f] = store.countUnread(key, username);
+            friendPresence[f] = presence.view(f);
         });
 
-        callback({ success: true, friends: friends[username], requests: friendRequests[username], isAdmin });
+        return {
+            success: true, username, token, isAdmin, unread,
+            status: store.getUser(username).status,
+            presence: friendPresence,
+            friends: store.getFriends(username),
+            requests: store.getRequests(username),
+            blocked: store.getBlocked(username),
+            ...channels.onLogin(socket, username)
+        };
+    }
+
+    channels.attach(socket, currentUser);
+    moderation.attach(socket, currentUser);
+
+    // Any event (including the client's `activity` heartbeat) counts as
+    // activity for idle detection.
+    socket.onAny(() => {
+        if (username) presence.touch(username);
+    });
+
+    socket.on('set status', (status) => {
+        if (!username || !['online', 'dnd'].includes(status)) return;
+        presence.setStatus(username, status);
+    });
+
+    // Reconnects present their session token in the handshake.
+    const handshakeToken = socket.handshake.auth?.token;
+    if (handshakeToken) {
+        const { name, error } = auth.resume(handshakeToken);
+        if (error) socket.emit('session invalid', { message: error });
+        else socket.emit('session resumed', startSession(name, handshakeToken));
+    }
+
+    // Register and login differ only in the auth call. A failure inside it
+    // (e.g. scrypt) is reported to the client rather than left unhandled.
+    async function authenticate(attempt, callback) {
+        callback = ack(callback);
+        if (username) return callback({ success: false, message: 'Already logged in' });
+        let result;
+        try {
+            result = await attempt();
+        } catch (err) {
+            console.error('Authentication failed:', err);
+            return callback({ success: false, message: 'Something went wrong, try again' });
+        }
+        if (result.error) return callback({ success: false, message: result.error });
+        callback(startSession(result.name, result.token));
+    }
+
+    socket.on('register', ({ name, password } = {}, callback) => {
+        authenticate(() => auth.register(name, password), callback);
+    });
+
+    socket.on('login', ({ name, password } = {}, callback) => {
+        authenticate(() => auth.login(name, password), callback);
+    });
+
+    socket.on('logout', (token) => {
+        auth.logout(token);
+        endSession();
     });
 
-    socket.on('send friend request', (target) => {
-        if (!username || !target || target === username) return;
-        if (!onlineUsers.has(target)) return;
-        friendRequests[target] = friendRequests[target] || [];
-        if (!friendRequests[target].includes(username) && !friends[target]?.includes(username)) {
-            friendRequests[target].push(username);
-            io.to(onlineUsers.get(target)).emit('friend request', username);
+    // Requests to someone offline wait in the store and arrive with their
+    // next login payload.
+    socket.on('send friend request', (target, callback) => {
+        callback = ack(callback);
+        if (!username) return callback({ success: false, message: 'Not logged in' });
+        if (target === username) return callback({ success: false, message: 'You cannot add yourself' });
+        if (!store.getUser(target) || store.isBanned(target)) return callback({ success: false, message: 'No such user' });
+        if (store.areFriends(username, target)) return callback({ success: false, message: 'Already friends' });
+        if (store.hasBlocked(username, target)) return callback({ success: false, message: 'Unblock this user first' });
+        // Looks sent either way, so the sender cannot tell they are blocked.
+        if (store.hasBlocked(target, username)) return callback({ success: true });
+
+        if (store.addRequest(target, username)) {
+            presence.to(target).emit('friend request', username);
         }
+        callback({ success: true });
+    });
+
+    // Blocking drops pending requests both ways and stops messages, typing
+    // and channel invites between the two.
+    socket.on('block user', (target, callback) => {
+        callback = ack(callback);
+        if (!username) return callback({ success: false, message: 'Not logged in' });
+        if (target === username || !store.getUser(target)) return callback({ success: false, message: 'No such user' });
+
+        store.block(username, target);
+        store.removeRequest(target, username);
+        presence.to(username).emit('friend requests', store.removeRequest(username, target));
+        presence.to(username).emit('blocked users', store.getBlocked(username));
+        callback({ success: true });
+    });
+
+    socket.on('unblock user', (target, callback) => {
+        callback = ack(callback);
+        if (!username) return callback({ success: false, message: 'Not logged in' });
+        store.unblock(username, target);
+        presence.to(username).emit('blocked users', store.getBlocked(username));
+        callback({ success: true });
     });
 
     socket.on('respond friend request', ({ from, accepted }) => {
         if (!username || !from) return;
-        friendRequests[username] = (friendRequests[username] || []).filter(u => u !== from);
-
-        if (accepted) {
-            friends[username].push(from);
-            friends[from].push(username);
-
-            if (onlineUsers.has(from)) {
-                io.to(onlineUsers.get(from)).emit('friend accepted', username);
-                io.to(socket.id).emit('friend accepted', from);
-            }
-        } else {
-            if (onlineUsers.has(from)) {
-                io.to(onlineUsers.get(from)).emit('friend declined', username);
-            }
+        const pending = store.getRequests(username).includes(from);
+        const remaining = store.removeRequest(username, from);
+
+        if (accepted && pending) {
+            store.addFriendship(username, from);
+
+            presence.to(from).emit('friend accepted', username);
+            presence.to(from).emit('presence', { user: username, ...presence.view(username) });
+            presence.to(username).emit('friend accepted', from);
+            presence.to(username).emit('presence', { user: from, ...presence.view(from) });
+        } else if (!accepted) {
+            presence.to(from).emit('friend declined', username);
         }
-        io.to(socket.id).emit('friend requests', friendRequests[username]);
+        presence.to(username).emit('friend requests', remaining);
     });
 
-    socket.on('private message', ({ to, text }) => {
-        if (!username || !friends[username]?.includes(to)) return;
-        const msg = { from: username, text, time: new Date().toLocaleTimeString() };
+    // `attachments` are ids returned by POST /uploads.
+    socket.on('private message', ({ to, text, attachments } = {}, callback) => {
+        callback = ack(callback);
+        if (!username || !store.areFriends(username, to)) return callback({ success: false, message: 'Not friends' });
+        if (store.isBlockedBetween(username, to)) return callback({ success: false, message: 'You cannot message this user' });
+        const mute = store.getMute(username);
+        if (mute) return callback({ success: false, message: 'You are muted', until: mute.until });
+        const files = uploads.resolve(attachments, username);
+        if (!files) return callback({ success: false, message: 'Invalid attachments' });
+        if (!(typeof text === 'string' && text.trim()) && !files.length) return callback({ success: false, message: 'Message text required' });
 
-        const key = [username, to].sort().join('|');
-        messages[key] = messages[key] || [];
-        messages[key].push(msg);
+        const msg = { id: crypto.randomUUID(), from: username, to, text, createdAt: Date.now() };
+        if (files.length) msg.attachments = files;
+        if (presence.isOnline(to)) msg.deliveredAt = msg.createdAt;
 
-        if (onlineUsers.has(to)) io.to(onlineUsers.get(to)).emit('private message', msg);
-        io.to(socket.id).emit('private message', msg);
+        const key = pairKey(username, to);
+        store.appendMessage(key, msg);
+        files.forEach(f => store.linkAttachment(f.id, key));
 
-        if (isAdmin) {
-            socket.emit('admin message log', messages);
+        // Sending counts as having stopped typing.
+        relayPmTyping(to, false);
+        presence.to(to).emit('private message', msg);
+        presence.to(username).emit('private message', msg);
+
+        callback({ success: true, id: msg.id });
+    });
+
+    // Pages backwards from `before` (a message id); omit it for the newest page.
+    socket.on('message history', ({ with: friend, before, limit } = {}, callback) => {
+        callback = ack(callback);
+        if (!username || !store.areFriends(username, friend)) {
+            return callback({ success: false, message: 'Not friends' });
         }
+        const page = store.getMessagePage(pairKey(username, friend), { before, limit: pageLimit(limit) });
+        if (!page) return callback({ success: false, message: 'Unknown message cursor' });
+        callback({ success: true, ...page });
     });
 
-    socket.on('admin ban', (target) => {
-        if (!isAdmin || !target) return;
-        bannedUsers.add(target);
-        if (onlineUsers.has(target)) {
-            io.to(onlineUsers.get(target)).disconnectSockets(true);
-            onlineUsers.delete(target);
+    socket.on('edit message', ({ with: friend, id, text } = {}, callback) => {
+        callback = ack(callback);
+        const msg = username && friend ? store.getMessage(pairKey(username, friend), id) : null;
+        if (!msg || msg.from !== username || msg.deleted) {
+            return callback({ success: false, message: 'Message not found' });
+        }
+        // Rewriting old messages would get around a mute.
+        const mute = store.getMute(username);
+        if (mute) return callback({ success: false, message: 'You are muted', until: mute.until });
+        if (typeof text !== 'string' || !text.trim()) {
+            return callback({ success: false, message: 'Message text required' });
         }
+        const updated = store.updateMessage(pairKey(username, friend), id, { text, editedAt: Date.now() });
+        emitMessageUpdates([updated]);
+        callback({ success: true });
     });
 
-    socket.on('disconnect', () => {
-        if (username) {
-            onlineUsers.delete(username);
-            friends[username].forEach(f => {
-                if (onlineUsers.has(f)) {
-                    io.to(onlineUsers.get(f)).emit('friend offline', username);
-                }
-            });
+    // Deleted messages keep their place in the history as a tombstone.
+    socket.on('delete message', ({ with: friend, id } = {}, callback) => {
+        callback = ack(callback);
+        const msg = username && friend ? store.getMessage(pairKey(username, friend), id) : null;
+        if (!msg || msg.from !== username || msg.deleted) {
+            return callback({ success: false, message: 'Message not found' });
         }
+        const updated = store.updateMessage(pairKey(username, friend), id, { text: '', attachments: [], deleted: true, deletedAt: Date.now() });
+        emitMessageUpdates([updated]);
+        callback({ success: true });
+    });
+
+    function relayPmTyping(to, typing) {
+        const from = username;
+        presence.relayTyping(from, to, typing, t => presence.to(to).emit('pm typing', { from, typing: t }));
+    }
+
+    socket.on('pm typing', ({ to, typing } = {}) => {
+        if (!username || !store.areFriends(username, to) || store.isBlockedBetween(username, to)) return;
+        relayPmTyping(to, typing);
     });
+
+    // Marks everything from `friend` up to message `upTo` as read.
+    socket.on('mark read', ({ with: friend, upTo } = {}) => {
+        if (!username || !store.areFriends(username, friend)) return;
+        emitMessageUpdates(store.markMessages(pairKey(username, friend), username, 'readAt', upTo));
+    });
+
+    function endSession() {
+        channels.onLogout(socket);
+        moderation.onLogout(socket);
+        // Other tabs may still be logged in to this account.
+        if (username && presence.disconnect(socket, username)) moderation.broadcast();
+        username = null;
+        isAdmin = false;
+    }
+
+    socket.on('disconnect', endSession);
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Write out any pending store changes before exiting.
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+    store.flush();
+    process.exit(0);
+}));
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory');
+const { migrate } = require('./schema');
+
+const WRITE_DELAY = 200; // ms; coalesces bursts of writes into one
+
+// JSON file adapter. Writes go to a temp file that is renamed over the real
+// one, so a crash mid-write never leaves a half-written store behind.
+class FileStore extends MemoryStore {
+    constructor(file) {
+        super();
+        this.file = file;
+        this.timer = null;
+    }
+
+    load() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        if (!fs.existsSync(this.file)) return this.flush();
+
+        const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        const before = raw.version || 0;
+        this.data = migrate(raw);
+        const pruned = this.pruneSessions();
+        if (pruned || before !== this.data.version) this.flush();
+    }
+
+    persist() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => this.flush(), WRITE_DELAY);
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,16 @@
+const path = require('path');
+const MemoryStore = require('./memory');
+const FileStore = require('./file');
+
+// STORE=memory keeps nothing on disk; anything else uses the JSON file at
+// STORE_FILE (default data/chat.json).
+function createStore({
+    type = process.env.STORE || 'file',
+    file = process.env.STORE_FILE || path.join(__dirname, '..', 'data', 'chat.json')
+} = {}) {
+    const store = type === 'memory' ? new MemoryStore() : new FileStore(file);
+    store.load();
+    return store;
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
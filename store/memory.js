@@ -0,0 +1,398 @@
+const { emptyData } = require('./schema');
+
+// Keeps everything in process memory. Used directly for tests and as the base
+// for persistent adapters, which only need to override load() and persist().
+class MemoryStore {
+    constructor() {
+        this.data = emptyData();
+    }
+
+    load() {}
+    persist() {}
+    flush() {}
+
+    // --- Users ---
+    ensureUser(name) {
+        const { users, friendRequests, friends } = this.data;
+        if (!users[name]) {
+            users[name] = { name, role: 'user', password: null, status: 'online', lastSeen: null, createdAt: Date.now() };
+            friendRequests[name] = friendRequests[name] || [];
+            friends[name] = friends[name] || [];
+            this.persist();
+        }
+        return users[name];
+    }
+
+    getUser(name) {
+        return this.data.users[name] || null;
+    }
+
+    findUserIgnoringCase(name) {
+        const lower = name.toLowerCase();
+        return Object.values(this.data.users).find(u => u.name.toLowerCase() === lower) || null;
+    }
+
+    // password is { salt, hash }; see lib/auth.js
+    setPassword(name, password) {
+        this.ensureUser(name).password = password;
+        this.persist();
+    }
+
+    setRole(name, role) {
+        this.ensureUser(name).role = role;
+        this.persist();
+    }
+
+    setStatusPreference(name, status) {
+        this.ensureUser(name).status = status;
+        this.persist();
+    }
+
+    setLastSeen(name, at) {
+        this.ensureUser(name).lastSeen = at;
+        this.persist();
+    }
+
+    // --- Sessions (keyed by token hash) ---
+    createSession(tokenHash, user, expires) {
+        this.data.sessions[tokenHash] = { user, expires };
+        this.persist();
+    }
+
+    getSession(tokenHash) {
+        return this.data.sessions[tokenHash] || null;
+    }
+
+    deleteSession(tokenHash) {
+        delete this.data.sessions[tokenHash];
+        this.persist();
+    }
+
+    // Expired sessions are otherwise only dropped when presented again.
+    // Returns how many were removed.
+    pruneSessions(now = Date.now()) {
+        const { sessions } = this.data;
+        const expired = Object.keys(sessions).filter(k => sessions[k].expires < now);
+        expired.forEach(k => delete sessions[k]);
+        if (expired.length) this.persist();
+        return expired.length;
+    }
+
+    deleteSessionsFor(user) {
+        const { sessions } = this.data;
+        Object.keys(sessions).forEach(k => {
+            if (sessions[k].user === user) delete sessions[k];
+        });
+        this.persist();
+    }
+
+    // --- Friends ---
+    getFriends(name) {
+        return this.data.friends[name] || [];
+    }
+
+    areFriends(a, b) {
+        return this.getFriends(a).includes(b);
+    }
+
+    addFriendship(a, b) {
+        const { friends } = this.data;
+        friends[a] = friends[a] || [];
+        friends[b] = friends[b] || [];
+        if (!friends[a].includes(b)) friends[a].push(b);
+        if (!friends[b].includes(a)) friends[b].push(a);
+        this.persist();
+    }
+
+    // --- Friend requests ---
+    getRequests(name) {
+        return this.data.friendRequests[name] || [];
+    }
+
+    // Returns false if the request already exists or the pair are friends.
+    addRequest(target, from) {
+        const { friendRequests } = this.data;
+        friendRequests[target] = friendRequests[target] || [];
+        if (friendRequests[target].includes(from) || this.areFriends(target, from)) return false;
+        friendRequests[target].push(from);
+        this.persist();
+        return true;
+    }
+
+    removeRequest(target, from) {
+        const { friendRequests } = this.data;
+        friendRequests[target] = (friendRequests[target] || []).filter(u => u !== from);
+        this.persist();
+        return friendRequests[target];
+    }
+
+    // --- Blocks ---
+    getBlocked(name) {
+        return this.data.blocks[name] || [];
+    }
+
+    hasBlocked(name, target) {
+        return this.getBlocked(name).includes(target);
+    }
+
+    // Either side blocking the other.
+    isBlockedBetween(a, b) {
+        return this.hasBlocked(a, b) || this.hasBlocked(b, a);
+    }
+
+    block(name, target) {
+        const { blocks } = this.data;
+        blocks[name] = blocks[name] || [];
+        if (!blocks[name].includes(target)) blocks[name].push(target);
+        this.persist();
+    }
+
+    unblock(name, target) {
+        this.data.blocks[name] = this.getBlocked(name).filter(u => u !== target);
+        this.persist();
+    }
+
+    // --- Messages ---
+    getMessages(key) {
+        return this.data.messages[key] || [];
+    }
+
+    getMessage(key, id) {
+        return this.getMessages(key).find(m => m.id === id) || null;
+    }
+
+    // Up to `limit` messages older than `before` (the newest when omitted),
+    // oldest first. Returns null when `before` is not in the conversation.
+    getMessagePage(key, { before, limit }) {
+        const list = this.getMessages(key);
+        let end = list.length;
+        if (before) {
+            end = list.findIndex(m => m.id === before);
+            if (end === -1) return null;
+        }
+        const start = Math.max(0, end - limit);
+        return { messages: list.slice(start, end), hasMore: start > 0 };
+    }
+
+    appendMessage(key, msg) {
+        const { messages } = this.data;
+        messages[key] = messages[key] || [];
+        messages[key].push(msg);
+        this.persist();
+        return msg;
+    }
+
+    updateMessage(key, id, changes) {
+        const msg = this.getMessage(key, id);
+        if (!msg) return null;
+        Object.assign(msg, changes);
+        this.persist();
+        return msg;
+    }
+
+    // Stamps `field` (deliveredAt or readAt) on messages sent to `reader`, up
+    // to and including message `upTo` (all when omitted). Reading implies
+    // delivery. Returns the messages that changed.
+    markMessages(key, reader, field, upTo) {
+        const list = this.getMessages(key);
+        const end = upTo ? list.findIndex(m => m.id === upTo) + 1 : list.length;
+        const now = Date.now();
+        const changed = list.slice(0, end).filter(m => m.to === reader && !m[field]);
+        changed.forEach(m => {
+            m[field] = now;
+            if (!m.deliveredAt) m.deliveredAt = now;
+        });
+        if (changed.length) this.persist();
+        return changed;
+    }
+
+    countUnread(key, reader) {
+        return this.getMessages(key).filter(m => m.to === reader && !m.readAt && !m.deleted).length;
+    }
+
+    // --- Channels ---
+    getChannel(id) {
+        return this.data.channels[id] || null;
+    }
+
+    createChannel(channel) {
+        this.data.channels[channel.id] = channel;
+        this.persist();
+        return channel;
+    }
+
+    updateChannel(id, changes) {
+        const channel = this.getChannel(id);
+        if (!channel) return null;
+        Object.assign(channel, changes);
+        this.persist();
+        return channel;
+    }
+
+    // Drops the channel and its history.
+    deleteChannel(id) {
+        delete this.data.channels[id];
+        delete this.data.messages[`channel:${id}`];
+        this.persist();
+    }
+
+    channelsFor(user) {
+        return Object.values(this.data.channels).filter(c => c.members.includes(user));
+    }
+
+    invitesFor(user) {
+        return Object.values(this.data.channels).filter(c => c.invites.includes(user));
+    }
+
+    // --- Attachments ---
+    getAttachment(id) {
+        return this.data.attachments[id] || null;
+    }
+
+    // Identical files share one record; each uploader is remembered.
+    saveAttachment(record, uploader) {
+        const { attachments } = this.data;
+        const existing = attachments[record.id];
+        if (existing) {
+            if (!existing.uploaders.includes(uploader)) existing.uploaders.push(uploader);
+        } else {
+            attachments[record.id] = { ...record, uploaders: [uploader], conversations: [] };
+        }
+        this.persist();
+        return attachments[record.id];
+    }
+
+    // Records that the attachment was shared in conversation `key`.
+    linkAttachment(id, key) {
+        const attachment = this.getAttachment(id);
+        if (!attachment || attachment.conversations.includes(key)) return;
+        attachment.conversations.push(key);
+        this.persist();
+    }
+
+    // Total bytes of the files `user` has uploaded.
+    attachmentUsage(user) {
+        return Object.values(this.data.attachments)
+            .filter(a => a.uploaders.includes(user))
+            .reduce((sum, a) => sum + a.size, 0);
+    }
+
+    // Attachments created before `cutoff` that no message ever used.
+    unsharedAttachments(cutoff) {
+        return Object.values(this.data.attachments).filter(a => !a.conversations.length && a.createdAt < cutoff);
+    }
+
+    deleteAttachment(id) {
+        delete this.data.attachments[id];
+        this.persist();
+    }
+
+    // --- Moderation ---
+    isBanned(name) {
+        return !!this.data.bans[name];
+    }
+
+    getBans() {
+        return this.data.bans;
+    }
+
+    // info is { reason, by, at }
+    ban(name, info) {
+        this.data.bans[name] = info;
+        this.persist();
+    }
+
+    unban(name) {
+        delete this.data.bans[name];
+        this.persist();
+    }
+
+    // Expired mutes are dropped lazily.
+    getMute(name) {
+        const mute = this.data.mutes[name];
+        if (mute && mute.until <= Date.now()) {
+            delete this.data.mutes[name];
+            this.persist();
+            return null;
+        }
+        return mute || null;
+    }
+
+    isMuted(name) {
+        return !!this.getMute(name);
+    }
+
+    getMutes() {
+        Object.keys(this.data.mutes).forEach(name => this.getMute(name));
+        return this.data.mutes;
+    }
+
+    // info is { until, reason, by, at }
+    mute(name, info) {
+        this.data.mutes[name] = info;
+        this.persist();
+    }
+
+    unmute(name) {
+        delete this.data.mutes[name];
+        this.persist();
+    }
+
+    // Case-insensitive text search over every conversation, newest first.
+    // `user` limits results to conversations that user took part in.
+    searchMessages({ text, user, limit }) {
+        const needle = (text || '').toLowerCase();
+        const results = [];
+        Object.entries(this.data.messages).forEach(([key, list]) => {
+            list.forEach(msg => {
+                if (user && msg.from !== user && msg.to !== user) return;
+                if (needle && !(msg.text || '').toLowerCase().includes(needle)) return;
+                results.push({ conversation: key, message: msg });
+            });
+        });
+        results.sort((a, b) => b.message.createdAt - a.message.createdAt);
+        return results.slice(0, limit);
+    }
+
+    // --- Audit log ---
+    appendAudit(entry) {
+        this.data.audit.push(entry);
+        this.persist();
+        return entry;
+    }
+
+    // Newest first; `before` is an entry id to page from.
+    getAudit({ before, limit }) {
+        const list = this.data.audit;
+        let end = list.length;
+        if (before) {
+            const i = list.findIndex(e => e.id === before);
+            if (i !== -1) end = i;
+        }
+        return list.slice(Math.max(0, end - limit), end).reverse();
+    }
+
+    // --- Leaderboards ---
+    // Best first.
+    getScores(board, limit) {
+        return Object.entries(this.data.scores[board] || {})
+            .map(([user, run]) => ({ user, ...run }))
+            .sort((a, b) => b.duration - a.duration || a.at - b.at)
+            .slice(0, limit);
+    }
+
+    getBestScore(board, user) {
+        return this.data.scores[board]?.[user] || null;
+    }
+
+    // Keeps only each user's best run per board. Returns true if it improved.
+    recordScore(board, user, run) {
+        const scores = this.data.scores[board] = this.data.scores[board] || {};
+        if (scores[user] && scores[user].duration >= run.duration) return false;
+        scores[user] = run;
+        this.persist();
+        return true;
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Bump SCHEMA_VERSION and append a migration whenever the stored shape changes.
+// migrations[n] upgrades data from version n to n + 1.
+const SCHEMA_VERSION = 9;
+
+const migrations = [
+    // 0 -> 1: initial layout
+    (data) => ({
+        users: data.users || {},
+        friendRequests: data.friendRequests || {},
+        friends: data.friends || {},
+        messages: data.messages || {},
+        bans: data.bans || []
+    }),
+    // 1 -> 2: accounts. Users created before this have no password; the first
+    // person to register the name claims it.
+    (data) => {
+        Object.values(data.users).forEach(u => {
+            u.role = u.role || 'user';
+            u.password = u.password || null;
+        });
+        return { ...data, sessions: {} };
+    },
+    // 2 -> 3: messages get an id, a recipient and a numeric timestamp in place
+    // of the locale-formatted `time` string, which cannot be parsed back.
+    (data) => {
+        const migratedAt = Date.now();
+        Object.entries(data.messages).forEach(([key, list]) => {
+            const pair = key.split('|');
+            data.messages[key] = list.map(({ time, ...msg }) => ({
+                ...msg,
+                id: msg.id || crypto.randomUUID(),
+                to: msg.to || pair.find(u => u !== msg.from) || msg.from,
+                createdAt: msg.createdAt || migratedAt
+            }));
+        });
+        return data;
+    },
+    // 3 -> 4: group channels. Their messages live in `messages` under
+    // `channel:<id>` keys.
+    (data) => ({ ...data, channels: {} }),
+    // 4 -> 5: attachment metadata, keyed by content hash.
+    (data) => ({ ...data, attachments: {} }),
+    // 5 -> 6: moderation. Bans become records with a reason; mutes and the
+    // admin audit log are new.
+    (data) => {
+        const bans = {};
+        data.bans.forEach(name => { bans[name] = { reason: '', by: null, at: null }; });
+        return { ...data, bans, mutes: {}, audit: [] };
+    },
+    // 6 -> 7: presence. `status` is the user's chosen status ('online' or
+    // 'dnd'); idle and offline are derived at runtime.
+    (data) => {
+        Object.values(data.users).forEach(u => {
+            u.status = u.status || 'online';
+            u.lastSeen = u.lastSeen || null;
+        });
+        return data;
+    },
+    // 7 -> 8: per-user block lists.
+    (data) => ({ ...data, blocks: {} }),
+    // 8 -> 9: single-player leaderboards, board -> user -> best run.
+    (data) => ({ ...data, scores: {} })
+];
+
+function emptyData() {
+    return migrate({});
+}
+
+function migrate(data) {
+    let version = data.version || 0;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Store schema v${version} is newer than supported v${SCHEMA_VERSION}`);
+    }
+    while (version < SCHEMA_VERSION) {
+        data = migrations[version](data);
+        version++;
+    }
+    data.version = SCHEMA_VERSION;
+    return data;
+}
+
+module.exports = { SCHEMA_VERSION, emptyData, migrate };
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/guard');
+
+const limit = { capacity: 3, perSecond: 0.5 };
+
+test('a bucket allows a burst up to its capacity', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter();
+
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.take('a', limit)), [true, true, true, false]);
+    // Other keys have their own buckets.
+    assert.equal(limiter.take('b', limit), true);
+});
+
+test('tokens refill at perSecond up to capacity', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter();
+    for (let i = 0; i < 3; i++) limiter.take('a', limit);
+
+    now += 1000; // half a token
+    assert.equal(limiter.take('a', limit), false);
+    now += 1000; // a whole one
+    assert.equal(limiter.take('a', limit), true);
+    assert.equal(limiter.take('a', limit), false);
+
+    // A long pause refills to capacity, not beyond.
+    now += 60 * 1000;
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.take('a', limit)), [true, true, true, false]);
+});
+
+test('rejected attempts do not spend tokens', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = createRateLimiter();
+    for (let i = 0; i < 10; i++) limiter.take('a', limit);
+
+    now += 2000;
+    assert.equal(limiter.take('a', limit), true);
+});
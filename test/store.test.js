@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMA_VERSION, emptyData, migrate } = require('../store/schema');
+const { MemoryStore, FileStore } = require('../store');
+
+const tempFile = t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'chat.json');
+};
+
+test('migrate upgrades a v0 store to the current version', () => {
+    const data = migrate({
+        users: { alice: { name: 'alice' }, bob: { name: 'bob' } },
+        friends: { alice: ['bob'], bob: ['alice'] },
+        messages: { 'alice|bob': [{ from: 'alice', text: 'hi', time: '12:00' }] },
+        bans: ['mallory']
+    });
+
+    assert.equal(data.version, SCHEMA_VERSION);
+    assert.deepEqual(data.friends.alice, ['bob']);
+    assert.equal(data.users.alice.role, 'user');
+    assert.equal(data.users.alice.password, null);
+    assert.equal(data.users.alice.status, 'online');
+    const [msg] = data.messages['alice|bob'];
+    assert.equal(msg.to, 'bob');
+    assert.equal(typeof msg.id, 'string');
+    assert.equal(typeof msg.createdAt, 'number');
+    assert.ok(!('time' in msg));
+    assert.deepEqual(Object.keys(data.bans), ['mallory']);
+    assert.deepEqual(data.blocks, {});
+    assert.deepEqual(data.scores, {});
+});
+
+test('migrate upgrades from an intermediate version', () => {
+    // v5: bans are still a list and there are no mutes or audit log.
+    const v5 = { ...emptyData(), version: 5, bans: ['mallory'] };
+    ['mutes', 'audit', 'blocks', 'scores'].forEach(key => delete v5[key]);
+
+    const data = migrate(v5);
+    assert.equal(data.version, SCHEMA_VERSION);
+    assert.deepEqual(data.bans, { mallory: { reason: '', by: null, at: null } });
+    assert.deepEqual(data.mutes, {});
+    assert.deepEqual(data.audit, []);
+});
+
+test('migrate refuses a store from a newer schema', () => {
+    assert.throws(() => migrate({ version: SCHEMA_VERSION + 1 }), /newer than supported/);
+});
+
+test('FileStore round-trips data through the file', (t) => {
+    const file = tempFile(t);
+    const store = new FileStore(file);
+    store.load();
+    store.ensureUser('alice');
+    store.ensureUser('bob');
+    store.addFriendship('alice', 'bob');
+    store.appendMessage('alice|bob', { id: 'm1', from: 'alice', to: 'bob', text: 'hi', createdAt: 1 });
+    store.flush();
+
+    const reloaded = new FileStore(file);
+    reloaded.load();
+    assert.equal(reloaded.data.version, SCHEMA_VERSION);
+    assert.ok(reloaded.areFriends('alice', 'bob'));
+    assert.deepEqual(reloaded.getMessages('alice|bob').map(m => m.text), ['hi']);
+    assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('FileStore migrates an old file on load and writes it back', (t) => {
+    const file = tempFile(t);
+    fs.writeFileSync(file, JSON.stringify({ users: { alice: { name: 'alice' } }, bans: [] }));
+
+    new FileStore(file).load();
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).version, SCHEMA_VERSION);
+});
+
+test('FileStore drops expired sessions on load', (t) => {
+    const file = tempFile(t);
+    const store = new FileStore(file);
+    store.load();
+    store.createSession('old', 'alice', Date.now() - 1);
+    store.createSession('current', 'alice', Date.now() + 60 * 1000);
+    store.flush();
+
+    const reloaded = new FileStore(file);
+    reloaded.load();
+    assert.equal(reloaded.getSession('old'), null);
+    assert.equal(reloaded.getSession('current').user, 'alice');
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).sessions), ['current']);
+});
+
+test('getMessagePage pages backwards and rejects unknown cursors', () => {
+    const store = new MemoryStore();
+    for (let i = 1; i <= 5; i++) store.appendMessage('alice|bob', { id: `m${i}`, from: 'alice', to: 'bob', text: `${i}`, createdAt: i });
+
+    const newest = store.getMessagePage('alice|bob', { limit: 2 });
+    assert.deepEqual(newest.messages.map(m => m.id), ['m4', 'm5']);
+    assert.equal(newest.hasMore, true);
+    const older = store.getMessagePage('alice|bob', { before: 'm2', limit: 2 });
+    assert.deepEqual(older.messages.map(m => m.id), ['m1']);
+    assert.equal(older.hasMore, false);
+    assert.equal(store.getMessagePage('alice|bob', { before: 'nope', limit: 2 }), null);
+});
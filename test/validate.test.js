@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { str, int, bool, oneOf, arr, obj, checkArgs } = require('../lib/validate');
+
+test('str checks type and length', () => {
+    const check = str({ min: 2, max: 4 });
+    assert.equal(check('abc', 'name'), null);
+    assert.match(check('a', 'name'), /name must be 2-4 characters/);
+    assert.match(check('abcde', 'name'), /2-4 characters/);
+    assert.match(check(5, 'name'), /name must be a string/);
+    assert.match(check(null, 'name'), /must be a string/);
+    assert.equal(str({ optional: true })(null), null);
+    assert.equal(str({ optional: true })(undefined), null);
+});
+
+test('int accepts whole numbers and numeric strings in range', () => {
+    const check = int({ min: 1, max: 10 });
+    assert.equal(check(5), null);
+    assert.equal(check('7'), null);
+    assert.match(check(1.5), /whole number/);
+    assert.match(check(''), /whole number/);
+    assert.match(check('abc'), /whole number/);
+    assert.match(check(11), /1-10/);
+    assert.match(check(0), /1-10/);
+});
+
+test('bool and oneOf', () => {
+    assert.equal(bool()(false), null);
+    assert.match(bool()('true'), /true or false/);
+    assert.equal(bool({ optional: true })(undefined), null);
+    assert.equal(oneOf(['online', 'dnd'])('dnd'), null);
+    assert.match(oneOf(['online', 'dnd'])('away', 'status'), /status must be one of online, dnd/);
+});
+
+test('arr checks every item and the length', () => {
+    const check = arr(str({ min: 1 }), { max: 2 });
+    assert.equal(check(['a', 'b']), null);
+    assert.match(check(['a', 'b', 'c'], 'ids'), /ids may have at most 2 entries/);
+    assert.match(check(['a', ''], 'ids'), /ids\[1\] must be 1-/);
+    assert.match(check('a'), /must be a list/);
+});
+
+test('obj rejects unknown keys and reports nested paths', () => {
+    const check = obj({ to: str({ min: 1 }), text: str({ optional: true }) });
+    assert.equal(check({ to: 'bob' }), null);
+    assert.equal(check({ to: 'bob', text: 'hi' }), null);
+    assert.match(check({ to: 'bob', extra: 1 }), /Unexpected field extra/);
+    // Keys inherited from Object.prototype are not fields either.
+    assert.match(check({ to: 'bob', toString: 1 }), /Unexpected field toString/);
+    assert.match(check({ to: 'bob', constructor: 1 }), /Unexpected field constructor/);
+    assert.match(check({ to: '' }), /^to must be/);
+    assert.match(check([]), /must be an object/);
+    assert.match(check(null), /must be an object/);
+    assert.equal(obj({}, { optional: true })(undefined), null);
+});
+
+test('checkArgs validates positional arguments', () => {
+    const schema = [str({ min: 1 }), bool({ optional: true })];
+    assert.equal(checkArgs(schema, ['bob']), null);
+    assert.equal(checkArgs(schema, ['bob', true]), null);
+    assert.equal(checkArgs(schema, ['bob', true, 3]), 'Too many arguments');
+    assert.match(checkArgs(schema, []), /payload must be a string/);
+    assert.equal(checkArgs([], []), null);
+});